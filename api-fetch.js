@@ -0,0 +1,34 @@
+// fetch() wrapper for the attendee pages that honors the API's rate limiting.
+// On a 429 it waits for the Retry-After header (capped) and tries again a couple of times,
+// so a busy moment at a station slows the page down instead of failing the scan.
+// Loaded with <script src="api-fetch.js"> (window.apiFetch).
+(function (root) {
+    const MAX_RETRIES = 2;
+    const MAX_WAIT_SECONDS = 30;
+    const DEFAULT_WAIT_SECONDS = 5;
+
+    function retryAfterSeconds(response) {
+        const header = response.headers.get('Retry-After');
+        const seconds = Number(header);
+        if (header && !isNaN(seconds)) {
+            return seconds;
+        }
+        // Retry-After can also be an HTTP date
+        const date = Date.parse(header);
+        return isNaN(date) ? DEFAULT_WAIT_SECONDS : Math.max(0, (date - Date.now()) / 1000);
+    }
+
+    async function apiFetch(url, options = {}, retries = MAX_RETRIES) {
+        const response = await fetch(url, options);
+        if (response.status !== 429 || retries <= 0) {
+            return response;
+        }
+
+        const waitSeconds = Math.min(retryAfterSeconds(response), MAX_WAIT_SECONDS);
+        console.warn(`⏳ Rate limited on ${url}, retrying in ${waitSeconds}s`);
+        await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000));
+        return apiFetch(url, options, retries - 1);
+    }
+
+    root.apiFetch = apiFetch;
+})(typeof self !== 'undefined' ? self : this);
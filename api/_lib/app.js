@@ -0,0 +1,2051 @@
+// The Express app behind every entrypoint: api/server.js (the Vercel function, and
+// `node server.js` from api/) and the root server.js (local development). Routes,
+// storage and security are configured here once, from the environment.
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const crypto = require('crypto');
+const { createStorage, requiredEnvVarsFor } = require('./storage');
+const { recordToFields } = require('./storage/columns');
+const KEY_CATALOG = require('../../key-catalog');
+const { createRedeemCodes, formatRedeemCode, normalizeRedeemCode } = require('./redeem-codes');
+const { createRedeemRules } = require('./redeem-rules');
+const { createStaffAuth } = require('./staff-auth');
+const { MAGIC_LINK_TTL_MS, createAttendeeTokens } = require('./attendee-tokens');
+const { createSessionStore, createMemorySessionStore, DEFAULT_MAX_SESSIONS } = require('./session-store');
+const { rateLimit } = require('./rate-limit');
+const { createKeyedLock } = require('./keyed-lock');
+const { createIdempotencyStore } = require('./idempotency');
+const { createWalkInPolicy } = require('./walk-ins');
+const { createMailer } = require('./mailer');
+const { buildConfirmationEmail, buildMagicLinkEmail } = require('./attendee-emails');
+const { SELF_CHECK_IN, checkInFields, undoCheckInFields, isCheckedIn, needsSelfCheckIn, passFromScan } = require('./check-in');
+const { createScanLog, scanEvent, summarizeScans } = require('./scan-log');
+const { computeHuntStats } = require('./hunt-stats');
+const { createAttendeeEvents } = require('./attendee-events');
+const { validateRequest: validateRequestSchema, valueAt } = require('./validation');
+const { securityEventsFromEnv } = require('./security-events');
+const { REQUEST_SCHEMAS, SECRET_SCHEMAS } = require('./request-schemas');
+require('dotenv').config();
+
+const app = express();
+
+// Secure server-side configuration - loaded from environment variables
+const SERVER_CONFIG = {
+    MISSION: process.env.MISSION,
+    STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'sheets',
+    GOOGLE_SHEETS_ID: process.env.GOOGLE_SHEETS_ID,
+    GOOGLE_PROJECT_ID: process.env.GOOGLE_PROJECT_ID,
+    GOOGLE_PRIVATE_KEY: process.env.GOOGLE_PRIVATE_KEY,
+    GOOGLE_CLIENT_EMAIL: process.env.GOOGLE_CLIENT_EMAIL,
+    GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID,
+    REDEEM_CODE_SECRET: process.env.REDEEM_CODE_SECRET,
+    STAFF_ACCOUNTS: process.env.STAFF_ACCOUNTS,
+    STAFF_SESSION_SECRET: process.env.STAFF_SESSION_SECRET,
+    ATTENDEE_TOKEN_SECRET: process.env.ATTENDEE_TOKEN_SECRET,
+    WALK_IN_MODE: process.env.WALK_IN_MODE || 'off',
+    WALK_IN_DAILY_CAP: process.env.WALK_IN_DAILY_CAP,
+    EVENT_TIMEZONE: process.env.EVENT_TIMEZONE || 'Asia/Bangkok',
+    REGISTRATION_URL: process.env.REGISTRATION_URL,
+    MAIL_FROM: process.env.MAIL_FROM || 'CMKL OpenHouse <no-reply@cmkl.ac.th>',
+    PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL
+};
+
+// Validate required configuration (only the Google Sheets backend needs credentials)
+const requiredEnvVars = requiredEnvVarsFor(process.env);
+
+const missingVars = requiredEnvVars.filter(varName => !SERVER_CONFIG[varName]);
+if (missingVars.length > 0) {
+    console.error('❌ Missing required environment variables:');
+    missingVars.forEach(varName => console.error(`   - ${varName}`));
+    console.error('Please check your .env file configuration.');
+    process.exit(1);
+}
+
+// Configure attendee storage (Google Sheets, local JSON file or in-memory)
+let storage = null;
+try {
+    storage = createStorage(process.env);
+    console.log(`✅ Attendee storage configured: ${storage.name}`);
+} catch (error) {
+    console.error('❌ Failed to configure attendee storage:', error.message);
+    console.warn('⚠️ Attendee storage not configured - running in offline mode');
+}
+
+// Configure the scan log (every key update; follows STORAGE_BACKEND)
+let scanLog = null;
+if (storage) {
+    try {
+        scanLog = createScanLog(process.env);
+    } catch (error) {
+        console.error('❌ Failed to configure scan log:', error.message);
+    }
+}
+
+// Configure redeem code signing
+let redeemCodes = null;
+try {
+    redeemCodes = createRedeemCodes({ secret: SERVER_CONFIG.REDEEM_CODE_SECRET });
+} catch (error) {
+    console.warn(`⚠️ ${error.message} - redeem codes disabled`);
+}
+
+// Configure staff login (admin, prize desk and other staff tooling)
+let staffAuth = null;
+try {
+    staffAuth = createStaffAuth({
+        accounts: SERVER_CONFIG.STAFF_ACCOUNTS,
+        sessionSecret: SERVER_CONFIG.STAFF_SESSION_SECRET,
+        secureCookies: process.env.NODE_ENV === 'production'
+    });
+} catch (error) {
+    console.warn(`⚠️ ${error.message} - staff routes disabled`);
+}
+
+// Require a signed-in staff member with at least `minRole` (viewer < staff < admin)
+function requireStaff(minRole) {
+    return (req, res, next) => {
+        if (!staffAuth) {
+            return res.status(503).json({
+                success: false,
+                error: 'Configuration error',
+                message: 'Staff login is not configured. Please contact administrator.'
+            });
+        }
+        return staffAuth.requireStaff(minRole)(req, res, next);
+    };
+}
+
+// Configure attendee sign-in tokens (issued by /api/harty/submit)
+let attendeeTokens = null;
+try {
+    attendeeTokens = createAttendeeTokens({
+        secret: SERVER_CONFIG.ATTENDEE_TOKEN_SECRET,
+        secureCookies: process.env.NODE_ENV === 'production'
+    });
+} catch (error) {
+    console.warn(`⚠️ ${error.message} - attendee routes disabled`);
+}
+
+// Configure walk-in registration at the door (off unless WALK_IN_MODE is set)
+let walkIns;
+try {
+    walkIns = createWalkInPolicy({
+        mode: SERVER_CONFIG.WALK_IN_MODE,
+        dailyCap: SERVER_CONFIG.WALK_IN_DAILY_CAP,
+        timeZone: SERVER_CONFIG.EVENT_TIMEZONE
+    });
+    if (walkIns.enabled) {
+        console.log(`✅ Walk-in registration: ${walkIns.mode}${walkIns.dailyCap ? ` (cap ${walkIns.dailyCap}/day)` : ''}`);
+    }
+} catch (error) {
+    console.error(`❌ ${error.message} - walk-in registration disabled`);
+    walkIns = createWalkInPolicy();
+}
+
+// Configure attendee emails - confirmations and magic links (off unless MAIL_TRANSPORT is set).
+// Links in emails always use PUBLIC_BASE_URL - never the request's Host header, which a client controls
+let mailer = null;
+try {
+    mailer = createMailer(process.env);
+    if (mailer && !SERVER_CONFIG.PUBLIC_BASE_URL) {
+        console.warn('⚠️ PUBLIC_BASE_URL is not set - attendee emails disabled');
+        mailer = null;
+    }
+    if (mailer) {
+        console.log(`✅ Attendee emails: ${mailer.name}`);
+    }
+} catch (error) {
+    console.error(`❌ ${error.message} - attendee emails disabled`);
+}
+
+// Configure the security event log (rejected requests, for review at security-review.html).
+// Without it the server still rejects bad input - it just stops remembering it
+let securityEvents = null;
+try {
+    securityEvents = securityEventsFromEnv(process.env);
+    if (securityEvents.blockingEnabled) {
+        console.log(`✅ Security events: blocking IPs after ${process.env.SECURITY_BLOCK_AFTER} rejected requests`);
+    }
+} catch (error) {
+    console.error(`❌ ${error.message} - security event log disabled`);
+}
+
+// Routes whose bodies carry passwords, passes or sign-in tokens (see SECRET_SCHEMAS); an
+// unparseable body sent to them is not stored either
+const SECRET_BODY_PATHS = ['/api/staff/login', '/api/auth/pass', '/api/auth/magic-link/verify', '/api/staff/checkin/lookup'];
+const REDACTED_VALUE = '[redacted]';
+
+// Record each rejected field; IP blocks (if enabled) start from here.
+// `rawBody` stands in for the value when the body could not be parsed; `redact` stores neither
+function recordSecurityEvent(req, errors, { rawBody, redact = false } = {}) {
+    if (!securityEvents) {
+        return;
+    }
+    errors.forEach(error => {
+        let value = rawBody !== undefined ? rawBody : valueAt(req, error.field);
+        if (redact && value !== undefined) {
+            value = REDACTED_VALUE;
+        }
+        const block = securityEvents.record({
+            ip: req.ip,
+            route: `${req.method} ${req.route ? req.route.path : req.path}`,
+            field: error.field,
+            rule: error.message,
+            value,
+            userAgent: req.get('user-agent'),
+            attendeeId: req.attendee?.attendeeId,
+            staff: req.staff?.username
+        });
+        if (block) {
+            console.warn(`🚨 Blocking ${block.ip} until ${block.until} after ${block.events} rejected requests`);
+        }
+    });
+}
+
+// Schema validation that also logs what it rejects
+function validateRequest(schema) {
+    const redact = SECRET_SCHEMAS.has(schema);
+    return validateRequestSchema(schema, { onInvalid: (req, errors) => recordSecurityEvent(req, errors, { redact }) });
+}
+
+// Turn away IPs blocked for repeated rejected requests
+function blockFlaggedIps(req, res, next) {
+    const block = securityEvents && securityEvents.isBlocked(req.ip);
+    if (!block) {
+        return next();
+    }
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil((Date.parse(block.until) - Date.now()) / 1000))));
+    res.status(403).json({
+        success: false,
+        error: 'IP_BLOCKED',
+        message: 'Too many invalid requests from this network. Please try again later or ask event staff for help.',
+        until: block.until
+    });
+}
+
+// Require a signed attendee token; the attendee's row and email are exposed as req.attendee
+function requireAttendee(req, res, next) {
+    if (!attendeeTokens) {
+        return res.status(503).json({
+            success: false,
+            error: 'Configuration error',
+            message: 'Attendee sign-in is not configured. Please contact administrator.'
+        });
+    }
+    return attendeeTokens.requireAttendee(req, res, next);
+}
+
+// Token-bucket limits per route, applied per IP and per attendee.
+// capacity is the burst size, refillPerSecond the sustained rate. IP limits stay generous
+// because a whole venue can share one Wi-Fi address.
+const RATE_LIMITS = {
+    submit: {
+        ip: { capacity: 120, refillPerSecond: 2 },
+        attendee: { capacity: 5, refillPerSecond: 0.1 }
+    },
+    updateKey: {
+        ip: { capacity: 300, refillPerSecond: 5 },
+        attendee: { capacity: 20, refillPerSecond: 0.5 }
+    },
+    userLookup: {
+        ip: { capacity: 300, refillPerSecond: 5 },
+        attendee: { capacity: 10, refillPerSecond: 0.2 }
+    },
+    redeemCode: {
+        ip: { capacity: 60, refillPerSecond: 1 },
+        attendee: { capacity: 5, refillPerSecond: 0.05 }
+    },
+    restore: {
+        ip: { capacity: 30, refillPerSecond: 0.5 }
+    },
+    magicLink: {
+        ip: { capacity: 20, refillPerSecond: 0.2 },
+        attendee: { capacity: 3, refillPerSecond: 0.01 }
+    },
+    events: {
+        ip: { capacity: 120, refillPerSecond: 2 },
+        attendee: { capacity: 10, refillPerSecond: 0.2 }
+    },
+    staffLogin: {
+        ip: { capacity: 10, refillPerSecond: 0.1 }
+    },
+    session: {
+        ip: { capacity: 120, refillPerSecond: 2 }
+    }
+};
+
+// Requests that read then write the same attendee (or redeem code) run one at a time per key,
+// so two concurrent scans cannot both pass the "already scanned" check
+const attendeeLocks = createKeyedLock();
+const serializeBySubmittedEmail = attendeeLocks.serialize(req => `attendee:${String(req.body?.fields?.email || '').toLowerCase()}`);
+const serializeByAttendee = attendeeLocks.serialize(req => `attendee:${req.attendee.email}`);
+const serializeByRedeemCode = attendeeLocks.serialize(req => `redeem:${normalizeRedeemCode(req.body?.code)}`);
+
+// Scanner retries carry the same Idempotency-Key and get the first answer back
+const idempotency = createIdempotencyStore();
+const idempotentPerAttendee = idempotency.middleware(req => req.attendee.email);
+
+// Behind Vercel's proxy req.ip must come from X-Forwarded-For, or every client shares one bucket
+app.set('trust proxy', process.env.TRUST_PROXY ? Number(process.env.TRUST_PROXY) : (process.env.VERCEL ? 1 : false));
+
+// Middleware
+app.use(cors());
+app.use(['/api/harty', '/api/auth'], blockFlaggedIps);
+app.use(express.json());
+
+// Bodies that are not JSON get the same structured 400 as failed validation, not an HTML stack trace
+app.use((error, req, res, next) => {
+    if (error.type !== 'entity.parse.failed') {
+        return next(error);
+    }
+    const errors = [{ field: 'body', message: 'must be valid JSON' }];
+    // Express matches routes case-insensitively and with or without a trailing slash
+    const routePath = req.path.toLowerCase().replace(/\/+$/, '');
+    recordSecurityEvent(req, errors, { rawBody: error.body, redact: SECRET_BODY_PATHS.includes(routePath) });
+    res.status(400).json({
+        success: false,
+        error: 'VALIDATION_FAILED',
+        message: 'body must be valid JSON',
+        errors
+    });
+});
+
+// Pages, scripts and models from the repo root (Vercel serves these itself and only routes /api/* here).
+// Only an allowlist is served - the pages, the asset folders and the browser scripts - so server
+// code, docs and runtime data (data/ holds attendees, scans and mail with sign-in links) never are
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const PUBLIC_DIRS = ['model', 'page2', 'svg'];
+const PUBLIC_SCRIPTS = ['api-fetch.js', 'config.js', 'global-error-handler.js', 'key-catalog.js', 'live-progress.js', 'script.js'];
+const PUBLIC_ROOT_FILE = /^\/[^/]+\.(html|mind)$/;
+const servePages = express.static(ROOT_DIR);
+
+// Checked against the decoded, normalized path, which is what express.static serves
+function isPublicPath(requestPath) {
+    let filePath;
+    try {
+        filePath = path.posix.normalize(decodeURIComponent(requestPath));
+    } catch (error) {
+        return false;
+    }
+    return filePath === '/'
+        || PUBLIC_ROOT_FILE.test(filePath)
+        || PUBLIC_SCRIPTS.some(script => filePath === `/${script}`)
+        || PUBLIC_DIRS.some(dir => filePath.startsWith(`/${dir}/`));
+}
+
+app.use((req, res, next) => {
+    if (!isPublicPath(req.path)) {
+        return next();
+    }
+    servePages(req, res, next);
+});
+
+// Every /api/admin/* route needs a staff session; individual routes can ask for a higher role
+app.use('/api/admin', requireStaff('viewer'));
+
+// AR game sessions for /api/session/* (JSON file by default, expire after SESSION_TTL_HOURS)
+const SESSION_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const MAX_SESSION_INTERACTIONS = 500; // Keep the newest interactions per session
+
+let sessionStore;
+try {
+    sessionStore = createSessionStore(process.env);
+    console.log(`✅ Session store configured: ${sessionStore.name}`);
+} catch (error) {
+    console.error('❌ Failed to configure session store:', error.message);
+    console.warn('⚠️ Falling back to in-memory sessions - they will be lost on restart');
+    sessionStore = createMemorySessionStore({ ttlMs: 12 * 60 * 60 * 1000, maxSessions: DEFAULT_MAX_SESSIONS });
+}
+const sessionRateLimit = rateLimit({ name: 'session', ...RATE_LIMITS.session });
+
+// Evict expired sessions so a full event day does not grow the store without bound
+setInterval(async () => {
+    try {
+        const removed = await sessionStore.sweep();
+        if (removed > 0) {
+            console.log(`🧹 Removed ${removed} expired sessions`);
+        }
+    } catch (error) {
+        console.error('Failed to sweep expired sessions:', error);
+    }
+}, SESSION_SWEEP_INTERVAL_MS).unref();
+
+function addSessionInteraction(session, interaction) {
+    session.interactions.push(interaction);
+    if (session.interactions.length > MAX_SESSION_INTERACTIONS) {
+        session.interactions.splice(0, session.interactions.length - MAX_SESSION_INTERACTIONS);
+    }
+}
+
+function sendSessionStoreError(res, error) {
+    console.error('Session store error:', error);
+    res.status(500).json({ error: 'Session storage unavailable. Please try again.' });
+}
+
+// Generate secure session ID
+function generateSecureSessionId() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Create new session
+app.post('/api/session/create', sessionRateLimit, async (req, res) => {
+    const sessionId = generateSecureSessionId();
+    const sessionData = {
+        sessionId,
+        startTime: new Date().toISOString(),
+        collectedKeys: [],
+        targetsFound: [],
+        interactions: [],
+        requiredKeys: ['Engineering Access Key', 'Science Lab Key'],
+        isCompleted: false,
+        createdAt: new Date().toISOString()
+    };
+    
+    try {
+        await sessionStore.set(sessionId, sessionData);
+    } catch (error) {
+        if (error.code === 'SESSION_LIMIT') {
+            console.warn(`⚠️ ${error.message} - refusing a new session`);
+            res.setHeader('Retry-After', '60');
+            return res.status(503).json({ error: 'Too many active sessions. Please try again later.' });
+        }
+        return sendSessionStoreError(res, error);
+    }
+    
+    // Only return minimal data to frontend
+    res.json({
+        sessionId,
+        requiredKeys: sessionData.requiredKeys,
+        status: 'created'
+    });
+});
+
+// Validate session
+app.get('/api/session/:sessionId/validate', sessionRateLimit, async (req, res) => {
+    const { sessionId } = req.params;
+    
+    try {
+        const session = await sessionStore.get(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        res.json({
+            valid: true,
+            collectedKeysCount: session.collectedKeys.length,
+            totalKeys: session.requiredKeys.length,
+            isCompleted: session.isCompleted
+        });
+    } catch (error) {
+        sendSessionStoreError(res, error);
+    }
+});
+
+// Collect key (secure endpoint)
+app.post('/api/session/:sessionId/collect-key', sessionRateLimit, async (req, res) => {
+    const { sessionId } = req.params;
+    const { keyName, targetType, method } = req.body;
+    
+    try {
+        const session = await sessionStore.get(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        // Validate key name
+        if (!session.requiredKeys.includes(keyName)) {
+            return res.status(400).json({ error: 'Invalid key name' });
+        }
+        
+        // Check if already collected
+        if (session.collectedKeys.includes(keyName)) {
+            return res.status(400).json({ error: 'Key already collected' });
+        }
+        
+        // Add key to collection
+        session.collectedKeys.push(keyName);
+        
+        // Track target found
+        if (!session.targetsFound.includes(targetType)) {
+            session.targetsFound.push(targetType);
+        }
+        
+        // Record interaction (server-side only)
+        addSessionInteraction(session, {
+            type: 'key_collected',
+            keyName,
+            targetType,
+            method,
+            timestamp: new Date().toISOString(),
+            sessionId // Server tracks this, not exposed to frontend
+        });
+        
+        // Check completion
+        const isCompleted = session.requiredKeys.every(key => session.collectedKeys.includes(key));
+        if (isCompleted && !session.isCompleted) {
+            session.isCompleted = true;
+            session.completionTime = new Date().toISOString();
+            
+            addSessionInteraction(session, {
+                type: 'game_completed',
+                completionTime: session.completionTime,
+                timeTaken: new Date() - new Date(session.startTime),
+                timestamp: new Date().toISOString(),
+                sessionId
+            });
+        }
+        
+        // Update session
+        await sessionStore.set(sessionId, session);
+        
+        // Return minimal response
+        res.json({
+            success: true,
+            keyCollected: keyName,
+            totalCollected: session.collectedKeys.length,
+            totalRequired: session.requiredKeys.length,
+            isCompleted,
+            message: isCompleted ? 'Congratulations! All keys collected!' : `Key ${keyName} collected successfully!`
+        });
+    } catch (error) {
+        sendSessionStoreError(res, error);
+    }
+});
+
+// Record interaction (secure endpoint)
+app.post('/api/session/:sessionId/interaction', sessionRateLimit, async (req, res) => {
+    const { sessionId } = req.params;
+    const { type, data } = req.body;
+    
+    try {
+        const session = await sessionStore.get(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        addSessionInteraction(session, {
+            type,
+            ...data,
+            timestamp: new Date().toISOString(),
+            sessionId // Server-side only
+        });
+        await sessionStore.set(sessionId, session);
+        
+        res.json({ success: true });
+    } catch (error) {
+        sendSessionStoreError(res, error);
+    }
+});
+
+// Get session progress (minimal data)
+app.get('/api/session/:sessionId/progress', sessionRateLimit, async (req, res) => {
+    const { sessionId } = req.params;
+    
+    try {
+        const session = await sessionStore.get(sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        
+        // Only return non-sensitive progress data
+        res.json({
+            collectedKeysCount: session.collectedKeys.length,
+            totalKeys: session.requiredKeys.length,
+            targetsFoundCount: session.targetsFound.length,
+            isCompleted: session.isCompleted,
+            progress: Math.round((session.collectedKeys.length / session.requiredKeys.length) * 100)
+        });
+    } catch (error) {
+        sendSessionStoreError(res, error);
+    }
+});
+
+// Search for existing user by email
+async function findUserByEmail(email) {
+    if (!storage) {
+        throw new Error('Attendee storage not configured');
+    }
+    return await storage.findUserByEmail(email);
+}
+
+// Create new user record
+async function createUserRecord(fields) {
+    if (!storage) {
+        throw new Error('Attendee storage not configured');
+    }
+    return await storage.createUserRecord(fields);
+}
+
+// Update existing user record (storage writes by row; callers find the row by attendee id first)
+async function updateUserRecord(rowIndex, fields) {
+    if (!storage) {
+        throw new Error('Attendee storage not configured');
+    }
+    return await storage.updateUserRecord(rowIndex, fields);
+}
+
+// Find an attendee by their stable id
+async function findUserById(attendeeId) {
+    if (!storage) {
+        throw new Error('Attendee storage not configured');
+    }
+    return await storage.findUserById(attendeeId);
+}
+
+// Give attendees imported without an id (e.g. pre-registered in the sheet) a stable one
+async function ensureAttendeeId(user) {
+    if (!user.attendeeId) {
+        user.attendeeId = crypto.randomUUID();
+        await storage.writeField(user.rowIndex, 'attendeeId', user.attendeeId);
+        console.log(`Assigned attendee id to row ${user.rowIndex}`);
+    }
+    return user;
+}
+
+// Write several cells of one attendee row (batched by the write queue when it is on)
+async function writeFields(user, fields) {
+    for (const [field, value] of Object.entries(fields)) {
+        await storage.writeField(user.rowIndex, field, value);
+    }
+    Object.assign(user, fields);
+}
+
+// Run fn(user) under the attendee's lock (the one sign-in uses) with their record read inside it,
+// so staff changes cannot interleave with the attendee's own requests. null if the attendee is gone.
+async function withLockedAttendee(attendeeId, fn) {
+    const [found] = await findUserById(attendeeId);
+    if (!found || !found.email) {
+        return null;
+    }
+    const email = found.email.toLowerCase();
+    return await attendeeLocks.withLock(`attendee:${email}`, async () => {
+        const [user] = await findUserById(attendeeId);
+        if (!user || !user.email || user.email.toLowerCase() !== email) {
+            return null;
+        }
+        return await fn(user);
+    });
+}
+
+// The signed-in attendee's current record, or null if the id no longer matches their email
+async function findSignedInAttendee(req) {
+    const users = await findUserById(req.attendee.attendeeId);
+    const user = users[0];
+    if (!user || !user.email || user.email.toLowerCase() !== req.attendee.email) {
+        return null;
+    }
+    return user;
+}
+
+function sendAttendeeLoginRequired(res) {
+    return res.status(401).json({
+        success: false,
+        error: 'ATTENDEE_LOGIN_REQUIRED',
+        message: 'Your session has expired. Please sign in again.'
+    });
+}
+
+// Sign the attendee in; later key and progress calls take their identity from this token
+function signInAttendee(res, user, extra) {
+    const token = attendeeTokens.issue(user);
+    res.setHeader('Set-Cookie', attendeeTokens.createCookie(token));
+
+    return res.json({
+        success: true,
+        recordId: user.attendeeId,
+        token: token,
+        checkedIn: true,
+        ...extra
+    });
+}
+
+// Email the attendee their check-in pass the first time they sign in.
+// A failed send is logged and retried at their next sign-in; it never blocks signing in.
+async function sendConfirmationOnce(user) {
+    if (!mailer || user.confirmationSentAt || !user.email) {
+        return;
+    }
+    try {
+        const message = await buildConfirmationEmail({
+            user,
+            pass: attendeeTokens.issuePass(user),
+            baseUrl: SERVER_CONFIG.PUBLIC_BASE_URL
+        });
+        await mailer.send({ from: SERVER_CONFIG.MAIL_FROM, ...message });
+
+        user.confirmationSentAt = new Date().toISOString();
+        await storage.writeField(user.rowIndex, 'confirmationSentAt', user.confirmationSentAt);
+        console.log(`📧 Confirmation email sent to ${user.email}`);
+    } catch (error) {
+        console.error(`Failed to send confirmation email to ${user.email}:`, error.message);
+    }
+}
+
+// 403 body for walk-ins that staff have not approved, or null if the attendee may sign in
+function walkInApprovalError(user) {
+    if (user.approval === 'pending') {
+        return {
+            success: false,
+            error: 'WALK_IN_PENDING_APPROVAL',
+            message: 'Your walk-in registration is waiting for staff approval. Please see the registration desk.'
+        };
+    }
+    if (user.approval === 'rejected') {
+        return {
+            success: false,
+            error: 'WALK_IN_REJECTED',
+            message: 'Your walk-in registration was not approved. Please see the registration desk.'
+        };
+    }
+    return null;
+}
+
+// Create a walk-in attendee (one at a time, so the daily cap cannot be overshot)
+async function registerWalkIn(req, res, fields) {
+    const validationError = walkIns.validate(fields);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: 'INVALID_WALK_IN',
+            message: validationError
+        });
+    }
+
+    return await attendeeLocks.withLock('walk-in:create', async () => {
+        if (walkIns.dailyCap > 0 && walkIns.capReached(await storage.listUsers())) {
+            console.log(`Walk-in cap of ${walkIns.dailyCap} reached - blocked ${fields.email}`);
+            return res.status(403).json({
+                success: false,
+                error: 'WALK_IN_CAP_REACHED',
+                message: 'Walk-in registration is full for today. Please see the registration desk.'
+            });
+        }
+
+        const user = await createUserRecord(walkIns.newWalkInFields(fields));
+        console.log(`Walk-in registered: ${user.email} (${walkIns.requiresApproval ? 'pending approval' : 'checked in'})`);
+
+        if (walkIns.requiresApproval) {
+            return res.status(202).json({
+                success: false,
+                recordId: user.attendeeId,
+                ...walkInApprovalError(user)
+            });
+        }
+        await sendConfirmationOnce(user);
+        return signInAttendee(res, user, {
+            existing: false,
+            walkIn: true,
+            message: 'Welcome! You have been registered and checked in.'
+        });
+    });
+}
+
+// Submit data to Google Sheets (secure endpoint)
+app.post('/api/harty/submit', rateLimit({ name: 'submit', ...RATE_LIMITS.submit }), validateRequest(REQUEST_SCHEMAS.submit), serializeBySubmittedEmail, async (req, res) => {
+    // Check if mission is enabled
+    if (SERVER_CONFIG.MISSION !== 'ENABLE') {
+        return res.json({ success: false, message: 'Data submission disabled' });
+    }
+    
+    const { fields } = req.body;
+    
+    if (!attendeeTokens) {
+        return res.status(503).json({
+            success: false,
+            error: 'Configuration error',
+            message: 'Attendee sign-in is not configured. Please contact administrator.'
+        });
+    }
+
+    try {
+        console.log('Processing submission for:', fields.email);
+        
+        // Check if user already exists
+        const existingUsers = await findUserByEmail(fields.email);
+        
+        if (existingUsers && existingUsers.length > 0) {
+            const existingUser = existingUsers[0];
+            const existingLastname = existingUser.lastName;
+            
+            // Check if lastname matches
+            if (existingLastname && existingLastname.toLowerCase() !== fields.lastname.toLowerCase()) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'EMAIL_ALREADY_USED',
+                    message: `This email is already registered with a different name (${existingLastname}). Please use a different email or contact support.`
+                });
+            }
+            
+            // Walk-ins waiting for (or refused) staff approval cannot sign in yet
+            const approvalError = walkInApprovalError(existingUser);
+            if (approvalError) {
+                return res.status(403).json(approvalError);
+            }
+            
+            // User exists with same name - auto check-in and initialize fields if needed
+            console.log('Existing user found at row:', existingUser.rowIndex);
+            
+            // Check in attendees who are not checked in yet; a staff undo stays undone
+            const needsUpdate = needsSelfCheckIn(existingUser);
+            
+            if (needsUpdate) {
+                console.log('Auto-checking in existing user and initializing fields...');
+                
+                // Update user with check-in status, keeping every other column as is
+                const checkIn = checkInFields(SELF_CHECK_IN); // Mark as checked in
+                const updateFields = {
+                    ...recordToFields(existingUser),
+                    ...checkIn,
+                    attendeeId: existingUser.attendeeId || crypto.randomUUID()
+                };
+                
+                await updateUserRecord(existingUser.rowIndex, updateFields);
+                Object.assign(existingUser, checkIn, { attendeeId: updateFields.attendeeId });
+                console.log('Existing user auto-checked in successfully');
+            } else {
+                await ensureAttendeeId(existingUser);
+            }
+            
+            await sendConfirmationOnce(existingUser);
+            return signInAttendee(res, existingUser, {
+                existing: true,
+                message: needsUpdate ? 'Welcome back! You have been checked in.' : 'Welcome back!' 
+            });
+        } else if (walkIns.enabled && req.body.walkIn === true) {
+            return await registerWalkIn(req, res, fields);
+        } else {
+            // User not found - only pre-registered users (or walk-ins, when enabled) are allowed
+            console.log('New user registration blocked:', fields.email);
+            return res.status(403).json({
+                success: false,
+                error: 'USER_NOT_REGISTERED',
+                message: walkIns.enabled
+                    ? 'We could not find your pre-registration. You can still join as a walk-in.'
+                    : 'Only pre-registered users can access this portal. Please contact the administrator.',
+                registrationUrl: SERVER_CONFIG.REGISTRATION_URL || null,
+                walkInUrl: walkIns.enabled ? 'walk-in.html' : null,
+                showModal: true
+            });
+        }
+        
+    } catch (error) {
+        console.error('Failed to submit to Google Sheets:', error);
+        
+        // Check if it's a rate limit error
+        if (error.code === 429 || error.status === 429) {
+            res.setHeader('Retry-After', '5');
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded. Please try again in a few seconds.',
+                message: 'Too many requests - please wait a moment and try again.'
+            });
+        }
+        
+        // For other errors, return 500 but allow fallback
+        console.log('Falling back to offline mode');
+        res.status(500).json({ 
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to process registration at this time. Please try again later.',
+            offline: true
+        });
+    }
+});
+
+// Exchange an emailed check-in pass for a sign-in token (restore.html on a new device)
+app.post('/api/auth/pass', rateLimit({ name: 'restore', ...RATE_LIMITS.restore }), validateRequest(REQUEST_SCHEMAS.pass), async (req, res) => {
+    if (!attendeeTokens) {
+        return res.status(503).json({
+            success: false,
+            error: 'Configuration error',
+            message: 'Attendee sign-in is not configured. Please contact administrator.'
+        });
+    }
+
+    const pass = attendeeTokens.readPass(req.body?.pass);
+    if (!pass) {
+        return res.status(401).json({
+            success: false,
+            error: 'INVALID_PASS',
+            message: 'This link is invalid or has expired. Please sign in with your email.'
+        });
+    }
+
+    try {
+        const users = await findUserById(pass.attendeeId);
+        const user = users[0];
+        if (!user || !user.email || user.email.toLowerCase() !== pass.email) {
+            return res.status(401).json({
+                success: false,
+                error: 'INVALID_PASS',
+                message: 'This link is no longer valid. Please sign in with your email.'
+            });
+        }
+
+        const approvalError = walkInApprovalError(user);
+        if (approvalError) {
+            return res.status(403).json(approvalError);
+        }
+
+        console.log(`Session restored from pass for ${user.email}`);
+        return signInAttendee(res, user, {
+            email: user.email,
+            lastName: user.lastName,
+            data: toAttendeeProgress(user),
+            message: 'Welcome back!'
+        });
+    } catch (error) {
+        console.error('Failed to restore session from pass:', error);
+
+        // Check if it's a rate limit error
+        if (error.code === 429 || error.status === 429) {
+            res.setHeader('Retry-After', '5');
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded. Please try again in a few seconds.',
+                message: 'Too many requests - please wait a moment and try again.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to restore your session. Please sign in with your email.'
+        });
+    }
+});
+
+// Email a one-time sign-in link, for attendees switching phones or browsers mid-event.
+// The answer is the same whether or not the email is registered, so it cannot be used to look attendees up.
+app.post('/api/auth/magic-link', rateLimit({ name: 'magic-link', ...RATE_LIMITS.magicLink }), validateRequest(REQUEST_SCHEMAS.magicLink), serializeBySubmittedEmail, async (req, res) => {
+    if (!mailer || !attendeeTokens || !storage) {
+        return res.status(503).json({
+            success: false,
+            error: 'MAGIC_LINK_UNAVAILABLE',
+            message: 'Sign-in links are not available right now. Please sign in with your email and last name.'
+        });
+    }
+
+    const email = req.body.fields.email.trim();
+
+    const sent = {
+        success: true,
+        message: `If that email is registered, a sign-in link is on its way. It works once and expires in ${MAGIC_LINK_TTL_MS / 60000} minutes.`
+    };
+
+    try {
+        const users = await findUserByEmail(email);
+        const user = users[0];
+        if (!user || walkInApprovalError(user)) {
+            console.log(`Magic link requested for unknown or unapproved email: ${email}`);
+            return res.json(sent);
+        }
+
+        await ensureAttendeeId(user);
+        // Only the newest link works: issuing one replaces the nonce an older link needs
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        await storage.writeField(user.rowIndex, 'magicLinkNonce', nonce);
+
+        const message = buildMagicLinkEmail({
+            user,
+            token: attendeeTokens.issueMagicLink(user, nonce),
+            baseUrl: SERVER_CONFIG.PUBLIC_BASE_URL,
+            ttlMinutes: MAGIC_LINK_TTL_MS / 60000
+        });
+        await mailer.send({ from: SERVER_CONFIG.MAIL_FROM, ...message });
+
+        console.log(`📧 Magic link sent to ${user.email}`);
+        res.json(sent);
+    } catch (error) {
+        console.error('Failed to send magic link:', error);
+
+        // Check if it's a rate limit error
+        if (error.code === 429 || error.status === 429) {
+            res.setHeader('Retry-After', '5');
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded. Please try again in a few seconds.',
+                message: 'Too many requests - please wait a moment and try again.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to send a sign-in link. Please sign in with your email and last name.'
+        });
+    }
+});
+
+// Use a magic link: signs the attendee in and returns their progress so the page can rehydrate localStorage
+app.post('/api/auth/magic-link/verify', rateLimit({ name: 'restore', ...RATE_LIMITS.restore }), validateRequest(REQUEST_SCHEMAS.magicLinkVerify), async (req, res) => {
+    if (!attendeeTokens || !storage) {
+        return res.status(503).json({
+            success: false,
+            error: 'Configuration error',
+            message: 'Attendee sign-in is not configured. Please contact administrator.'
+        });
+    }
+
+    const link = attendeeTokens.readMagicLink(req.body?.token);
+    if (!link) {
+        return res.status(401).json({
+            success: false,
+            error: 'INVALID_MAGIC_LINK',
+            message: 'This sign-in link is invalid or has expired. Please ask for a new one.'
+        });
+    }
+
+    try {
+        // One use per link, even when the same link is opened twice at once
+        return await attendeeLocks.withLock(`attendee:${link.email}`, async () => {
+            const users = await findUserById(link.attendeeId);
+            const user = users[0];
+            if (!user || !user.email || user.email.toLowerCase() !== link.email || user.magicLinkNonce !== link.nonce) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'INVALID_MAGIC_LINK',
+                    message: 'This sign-in link has already been used. Please ask for a new one.'
+                });
+            }
+
+            await storage.writeField(user.rowIndex, 'magicLinkNonce', '');
+
+            const approvalError = walkInApprovalError(user);
+            if (approvalError) {
+                return res.status(403).json(approvalError);
+            }
+
+            console.log(`Session restored from magic link for ${user.email}`);
+            return signInAttendee(res, user, {
+                email: user.email,
+                lastName: user.lastName,
+                data: toAttendeeProgress(user),
+                message: 'Welcome back!'
+            });
+        });
+    } catch (error) {
+        console.error('Failed to verify magic link:', error);
+
+        // Check if it's a rate limit error
+        if (error.code === 429 || error.status === 429) {
+            res.setHeader('Retry-After', '5');
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded. Please try again in a few seconds.',
+                message: 'Too many requests - please wait a moment and try again.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to sign you in. Please ask for a new link.'
+        });
+    }
+});
+
+// Update existing Google Sheets record (admin only - attendees change their own row through update-key)
+app.post('/api/harty/update', requireStaff('admin'), validateRequest(REQUEST_SCHEMAS.update), async (req, res) => {
+    // Check if mission is enabled
+    if (SERVER_CONFIG.MISSION !== 'ENABLE') {
+        return res.json({ success: false, message: 'Data updates disabled' });
+    }
+    
+    const { recordId, fields } = req.body;
+    
+    try {
+        console.log('Updating attendee:', recordId);
+        
+        const users = await findUserById(recordId);
+        if (users.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        // Unlisted columns (and the attendee id) keep their current values
+        const existingUser = users[0];
+        const updatedRecord = await updateUserRecord(existingUser.rowIndex, {
+            ...recordToFields(existingUser),
+            ...fields,
+            attendeeId: existingUser.attendeeId
+        });
+        
+        console.log('Record updated successfully');
+        res.json({ 
+            success: true, 
+            record: {
+                id: existingUser.attendeeId,
+                fields: {
+                    firstName: updatedRecord.firstName,
+                    lastName: updatedRecord.lastName,
+                    email: updatedRecord.email
+                }
+            },
+            message: 'Record updated successfully'
+        });
+        
+    } catch (error) {
+        console.error('Failed to update Google Sheets record:', error);
+        
+        // Check if it's a rate limit error
+        if (error.code === 429 || error.status === 429) {
+            res.setHeader('Retry-After', '5');
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded. Please try again in a few seconds.',
+                message: 'Too many requests - please wait a moment and try again.'
+            });
+        }
+        
+        // For other errors, return 500 but allow fallback
+        console.log('Falling back to offline mode for update');
+        res.status(500).json({ 
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to update record at this time. Please try again later.',
+            offline: true
+        });
+    }
+});
+
+// Prize tiers from the key catalog; a broken tier stops the server at startup
+const redeemRules = createRedeemRules();
+
+// Attendee data the pages keep in localStorage (same shape as /api/harty/user/:email's `data`)
+function toAttendeeProgress(userRecord) {
+    const { tier, points } = redeemRules.evaluate(userRecord);
+    return {
+        recordId: userRecord.attendeeId,
+        email: userRecord.email,
+        firstName: userRecord.firstName,
+        lastName: userRecord.lastName,
+        checkinStatus: userRecord.checkin,
+        keyStatuses: KEY_CATALOG.getGroupProgress('main', userRecord),
+        redeemKeyEnabled: userRecord.redeemKey === 'TRUE',
+        redeemTier: tier,
+        points,
+        innovationPercentage: KEY_CATALOG.getGroupPercentage('innovation', userRecord),
+        innovationProgress: KEY_CATALOG.getGroupProgress('innovation', userRecord),
+        wonderProgress: KEY_CATALOG.getGroupProgress('wonder', userRecord),
+        wonderPercentage: KEY_CATALOG.getGroupPercentage('wonder', userRecord)
+    };
+}
+
+// Push the attendee's current progress to their open /api/harty/events streams
+const attendeeEvents = createAttendeeEvents();
+
+function publishProgress(userRecord) {
+    attendeeEvents.publish(userRecord.attendeeId, 'progress', toAttendeeProgress(userRecord));
+}
+
+// Set Redeem Key to TRUE once the attendee qualifies for any prize tier
+async function checkAndUpdateRedeemKey(userRecord) {
+    if (userRecord.redeemKey === 'TRUE') {
+        return false;
+    }
+    const { tier } = redeemRules.evaluate(userRecord);
+    if (tier) {
+        console.log(`User ${userRecord.email} qualifies for redeem tier ${tier.id}. Setting Redeem Key to TRUE.`);
+
+        // Update Redeem Key column (H) to TRUE
+        await storage.writeField(userRecord.rowIndex, 'redeemKey', 'TRUE');
+        userRecord.redeemKey = 'TRUE';
+
+        return true; // Redeem key was updated
+    }
+
+    return false; // No update needed
+}
+
+// Append to the scan log without failing the scan: the key column is already written, and a
+// missing event only costs the audit trail (rebuild-keys never clears a key that has no events)
+async function appendScanLog(event) {
+    if (!scanLog) {
+        console.warn(`Scan log not configured - ${event.key} scan for ${event.attendeeId} not logged`);
+        return;
+    }
+    try {
+        await scanLog.append(event);
+    } catch (error) {
+        console.error(`❌ Failed to log ${event.key} scan for ${event.attendeeId}:`, error.message);
+    }
+}
+
+// Live progress for the signed-in attendee: a `progress` snapshot on connect, then one after
+// every change (scans on another device, staff check-ins). Same shape as /api/harty/user data.
+app.get('/api/harty/events', requireAttendee, rateLimit({ name: 'events', ...RATE_LIMITS.events }), async (req, res) => {
+    try {
+        if (!storage) {
+            throw new Error('Attendee storage not configured');
+        }
+        const userRecord = await findSignedInAttendee(req);
+        if (!userRecord) {
+            return sendAttendeeLoginRequired(res);
+        }
+
+        if (!attendeeEvents.open(userRecord.attendeeId, req, res)) {
+            res.setHeader('Retry-After', '5');
+            return res.status(429).json({
+                success: false,
+                error: 'Too many live connections',
+                message: 'Close other tabs showing your progress and try again.'
+            });
+        }
+        attendeeEvents.send(res, 'progress', toAttendeeProgress(userRecord));
+    } catch (error) {
+        console.error('Failed to open attendee event stream:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to load your progress at this time.'
+        });
+    }
+});
+
+// Update specific key for a user
+app.post('/api/harty/update-key', requireAttendee, rateLimit({ name: 'update-key', ...RATE_LIMITS.updateKey }), validateRequest(REQUEST_SCHEMAS.updateKey), serializeByAttendee, idempotentPerAttendee, async (req, res) => {
+    // Check if mission is enabled
+    if (SERVER_CONFIG.MISSION !== 'ENABLE') {
+        return res.json({ success: false, message: 'Key updates disabled' });
+    }
+    
+    // The attendee comes from the signed token; any recordId in the body is ignored
+    const { keyField, status, scanMethod } = req.body;
+    
+    try {
+        console.log(`Updating key ${keyField} to ${status} for attendee ${req.attendee.attendeeId}`);
+
+        // One lookup serves the duplicate and redeem checks (queued writes are already applied)
+        const userRecord = await findSignedInAttendee(req);
+        if (!userRecord) {
+            return sendAttendeeLoginRequired(res);
+        }
+        const { rowIndex } = userRecord;
+        
+        // Look up the key in the catalog to find its attendee record field (keyField is validated against it)
+        const key = KEY_CATALOG.getKeyByStatusField(keyField);
+        const recordField = key.field;
+
+        // A key earned by a quest group is only recorded once the group's threshold is met on the
+        // record, whatever scanMethod the client sends; an unlock of any other key is refused
+        const group = KEY_CATALOG.getGroupUnlockingKey(key.id);
+        const needsUnlock = status === 'scanned' && userRecord[recordField] !== 'scanned' && (group || scanMethod === 'unlock');
+        if (needsUnlock) {
+            const scannedCount = group
+                ? Object.values(KEY_CATALOG.getGroupProgress(group.id, userRecord)).filter(keyStatus => keyStatus === 'scanned').length
+                : 0;
+            if (!group || scannedCount < group.unlockAfter) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Key not unlocked',
+                    message: group
+                        ? `Scan ${group.unlockAfter - scannedCount} more ${group.label} to unlock this key.`
+                        : 'This key cannot be unlocked.'
+                });
+            }
+        }
+
+        // Every scan is logged, repeats included, after the key write (see appendScanLog)
+        const event = scanEvent({
+            user: userRecord,
+            key,
+            status,
+            method: scanMethod,
+            device: req.get('User-Agent')
+        });
+
+        // Check if key is already scanned to prevent duplicates
+        if (status === 'scanned') {
+            if (userRecord[recordField] === 'scanned') {
+                console.log(`Key ${keyField} already scanned - preventing duplicate collection`);
+                await appendScanLog(event);
+                return res.json({
+                    success: true,
+                    message: `Key ${keyField} already scanned`,
+                    keyField,
+                    status: 'already_scanned',
+                    duplicate: true
+                });
+            }
+        }
+
+        // The key column holds the latest logged status (queued and batched on the Sheets backend)
+        await storage.writeField(rowIndex, recordField, status);
+        userRecord[recordField] = status;
+        await appendScanLog(event);
+
+        console.log(`Key ${keyField} updated successfully to ${status}`);
+
+        // Check if this update means we should enable redeem key (any key can count towards a tier)
+        if (status === 'scanned') {
+            try {
+                await checkAndUpdateRedeemKey(userRecord);
+            } catch (redeemError) {
+                console.error('Error checking/updating redeem key:', redeemError);
+                // Don't fail the main operation if redeem key check fails
+            }
+        }
+
+        publishProgress(userRecord);
+
+        res.json({
+            success: true,
+            message: `Key ${keyField} updated to ${status}`,
+            keyField,
+            status
+        });
+        
+    } catch (error) {
+        console.error('Failed to update key in Google Sheets:', error);
+        
+        // Check if it's a rate limit error
+        if (error.code === 429 || error.status === 429) {
+            res.setHeader('Retry-After', '5');
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded. Please try again in a few seconds.',
+                message: 'Too many requests - please wait a moment and try again.'
+            });
+        }
+        
+        // For other errors, return 500 but allow fallback
+        console.log('Falling back to offline mode for key update');
+        res.status(500).json({ 
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to update key at this time. Please try again later.',
+            offline: true
+        });
+    }
+});
+
+// Issue the attendee's redeem code (minted server-side once Redeem Key is TRUE)
+app.post('/api/harty/redeem-code', requireAttendee, rateLimit({ name: 'redeem-code', ...RATE_LIMITS.redeemCode }), serializeByAttendee, async (req, res) => {
+    // Check if mission is enabled
+    if (SERVER_CONFIG.MISSION !== 'ENABLE') {
+        return res.json({ success: false, message: 'Redeem codes disabled' });
+    }
+
+    if (!redeemCodes) {
+        return res.status(503).json({
+            success: false,
+            error: 'Configuration error',
+            message: 'Redeem codes are not configured. Please contact administrator.'
+        });
+    }
+
+    try {
+        // Find the signed-in user
+        const user = await findSignedInAttendee(req);
+        if (!user) {
+            return sendAttendeeLoginRequired(res);
+        }
+
+        await checkAndUpdateRedeemKey(user);
+        if (user.redeemKey !== 'TRUE') {
+            return res.status(403).json({
+                success: false,
+                error: 'REDEEM_NOT_ELIGIBLE',
+                message: 'Collect all required keys before claiming a redeem code.'
+            });
+        }
+        const { tier } = redeemRules.evaluate(user);
+
+        // Reuse a code this server already minted for the user
+        if (user.code && redeemCodes.verify(user.code, user.email)) {
+            return res.json({
+                success: true,
+                redeemCode: user.code,
+                redeemTier: tier,
+                existing: true
+            });
+        }
+
+        // Mint a new code and store it in the CODE column (I)
+        const redeemCode = redeemCodes.mint(user.email);
+        await storage.writeField(user.rowIndex, 'code', redeemCode);
+
+        console.log(`Redeem code issued for user ${user.email}`);
+        res.json({
+            success: true,
+            redeemCode: redeemCode,
+            redeemTier: tier,
+            existing: false
+        });
+
+    } catch (error) {
+        console.error('Failed to issue redeem code:', error);
+
+        // Check if it's a rate limit error
+        if (error.code === 429 || error.status === 429) {
+            res.setHeader('Retry-After', '5');
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded. Please try again in a few seconds.',
+                message: 'Too many requests - please wait a moment and try again.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to issue redeem code',
+            message: 'Unable to issue redeem code at this time. Please try again later.'
+        });
+    }
+});
+
+// Find the attendee a redeem code was issued to, or null if the code is not genuine
+async function findUserByRedeemCode(code) {
+    const redeemCode = formatRedeemCode(code);
+    const users = await storage.findUserByField('code', redeemCode);
+    const user = users[0];
+
+    if (!user || user.redeemKey !== 'TRUE' || !redeemCodes.verify(redeemCode, user.email)) {
+        return null;
+    }
+    return user;
+}
+
+// Attendee summary shown to prize desk staff
+function toRedeemAttendee(user) {
+    return {
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        keyStatuses: KEY_CATALOG.getGroupProgress('main', user),
+        innovationPercentage: KEY_CATALOG.getGroupPercentage('innovation', user),
+        wonderPercentage: KEY_CATALOG.getGroupPercentage('wonder', user),
+        redeemTier: redeemRules.evaluate(user).tier
+    };
+}
+
+// Verify a redeem code at the prize desk
+app.post('/api/redeem/verify', requireStaff('staff'), validateRequest(REQUEST_SCHEMAS.redeem), async (req, res) => {
+    if (!redeemCodes) {
+        return res.status(503).json({
+            success: false,
+            error: 'Configuration error',
+            message: 'Redeem codes are not configured. Please contact administrator.'
+        });
+    }
+
+    const { code } = req.body;
+
+    try {
+        const user = await findUserByRedeemCode(code);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                valid: false,
+                error: 'INVALID_CODE',
+                message: 'This redeem code is not valid.'
+            });
+        }
+
+        res.json({
+            success: true,
+            valid: true,
+            redeemCode: user.code,
+            claimed: !!user.claimedAt,
+            claimedAt: user.claimedAt || null,
+            claimedBy: user.claimedBy || null,
+            attendee: toRedeemAttendee(user)
+        });
+
+    } catch (error) {
+        console.error('Failed to verify redeem code:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to verify redeem code at this time. Please try again later.'
+        });
+    }
+});
+
+// Mark a redeem code as claimed at the prize desk (each code can be claimed once)
+app.post('/api/redeem/claim', requireStaff('staff'), validateRequest(REQUEST_SCHEMAS.redeem), serializeByRedeemCode, async (req, res) => {
+    if (!redeemCodes) {
+        return res.status(503).json({
+            success: false,
+            error: 'Configuration error',
+            message: 'Redeem codes are not configured. Please contact administrator.'
+        });
+    }
+
+    const { code } = req.body;
+    const staffName = req.staff.username;
+
+    try {
+        const user = await findUserByRedeemCode(code);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'INVALID_CODE',
+                message: 'This redeem code is not valid.'
+            });
+        }
+
+        if (user.claimedAt) {
+            console.log(`Redeem code for ${user.email} already claimed at ${user.claimedAt} by ${user.claimedBy}`);
+            return res.status(409).json({
+                success: false,
+                error: 'ALREADY_CLAIMED',
+                message: 'This prize has already been claimed.',
+                claimedAt: user.claimedAt,
+                claimedBy: user.claimedBy,
+                attendee: toRedeemAttendee(user)
+            });
+        }
+
+        const claimedAt = new Date().toISOString();
+        await storage.writeField(user.rowIndex, 'claimedAt', claimedAt);
+        await storage.writeField(user.rowIndex, 'claimedBy', staffName);
+
+        console.log(`Redeem code for ${user.email} claimed by ${staffName}`);
+        res.json({
+            success: true,
+            message: 'Prize claimed successfully',
+            claimedAt: claimedAt,
+            claimedBy: staffName,
+            attendee: toRedeemAttendee(user)
+        });
+
+    } catch (error) {
+        console.error('Failed to claim redeem code:', error);
+
+        // Check if it's a rate limit error
+        if (error.code === 429 || error.status === 429) {
+            res.setHeader('Retry-After', '5');
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded. Please try again in a few seconds.',
+                message: 'Too many requests - please wait a moment and try again.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to claim redeem code at this time. Please try again later.'
+        });
+    }
+});
+
+// Get user data endpoint
+app.get('/api/harty/user/:email', requireAttendee, rateLimit({ name: 'user', ...RATE_LIMITS.userLookup }), validateRequest(REQUEST_SCHEMAS.userLookup), async (req, res) => {
+    try {
+        console.log('=== USER DATA ENDPOINT CALLED ===');
+        if (!storage) {
+            return res.status(503).json({ 
+                success: false, 
+                error: 'Configuration error',
+                message: 'Attendee storage is required but not configured. Please contact administrator.' 
+            });
+        }
+
+        const { email } = req.params;
+        
+        if (!email) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Missing required parameter: email' 
+            });
+        }
+
+        // Attendees can only read their own progress
+        if (email.toLowerCase() !== req.attendee.email) {
+            return res.status(403).json({
+                success: false,
+                error: 'FORBIDDEN',
+                message: 'You can only view your own progress.'
+            });
+        }
+
+        console.log(`Searching for user data for ${email}`);
+        
+        // Look the attendee up by the stable id in their token
+        const signedInUser = await findSignedInAttendee(req);
+        const existingUsers = signedInUser ? [signedInUser] : [];
+
+        if (existingUsers && existingUsers.length > 0) {
+            const userRecord = existingUsers[0];
+            console.log(`Found user record at row ${userRecord.rowIndex}`);
+
+            // Catch up attendees who qualified before the rules changed (or whose scan-time update failed)
+            try {
+                await checkAndUpdateRedeemKey(userRecord);
+            } catch (updateError) {
+                console.error('Failed to auto-update Redeem Key:', updateError);
+                // Continue with original value if update fails
+            }
+
+            // Key statuses per group, from the key catalog
+            const progress = toAttendeeProgress(userRecord);
+            console.log(`User ${userRecord.email} - Redeem Key: ${userRecord.redeemKey}, tier: ${progress.redeemTier ? progress.redeemTier.id : 'none'}`);
+
+            res.json({
+                success: true,
+                message: 'User data retrieved successfully',
+                data: progress
+            });
+        } else {
+            res.status(404).json({ 
+                success: false, 
+                error: 'USER_NOT_REGISTERED',
+                message: 'Please register first before accessing the portal.',
+                registrationUrl: 'https://airtable.com/appE4SeDTpEI6XTRX/pagOUHvMAlLgJS2Pf/form',
+                showModal: true
+            });
+        }
+
+    } catch (error) {
+        console.error('Error fetching user data:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Internal server error',
+            message: 'Failed to retrieve user data'
+        });
+    }
+});
+
+// Get public configuration (safe values only)
+app.get('/api/config', (req, res) => {
+    res.json({
+        mission: SERVER_CONFIG.MISSION,
+        features: {
+            dataSubmission: SERVER_CONFIG.MISSION === 'ENABLE',
+            walkIn: walkIns.mode
+        }
+    });
+});
+
+// Staff login (sets a signed session cookie)
+app.post('/api/staff/login', rateLimit({ name: 'staff-login', ...RATE_LIMITS.staffLogin }), validateRequest(REQUEST_SCHEMAS.staffLogin), async (req, res) => {
+    if (!staffAuth) {
+        return res.status(503).json({
+            success: false,
+            error: 'Configuration error',
+            message: 'Staff login is not configured. Please contact administrator.'
+        });
+    }
+
+    const { username, password } = req.body;
+    let staff;
+    try {
+        staff = await staffAuth.authenticate(username, password);
+    } catch (error) {
+        console.error('Staff login failed:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to sign in at this time. Please try again later.'
+        });
+    }
+
+    if (!staff) {
+        console.warn(`Failed staff login for "${username}"`);
+        return res.status(401).json({
+            success: false,
+            error: 'INVALID_CREDENTIALS',
+            message: 'Invalid username or password.'
+        });
+    }
+
+    console.log(`Staff ${staff.username} (${staff.role}) signed in`);
+    res.setHeader('Set-Cookie', staffAuth.createSessionCookie(staff));
+    res.json({ success: true, staff });
+});
+
+// Staff logout
+app.post('/api/staff/logout', (req, res) => {
+    if (staffAuth) {
+        res.setHeader('Set-Cookie', staffAuth.clearSessionCookie());
+    }
+    res.json({ success: true });
+});
+
+// Current staff session
+app.get('/api/staff/me', requireStaff('viewer'), (req, res) => {
+    res.json({ success: true, staff: req.staff });
+});
+
+// Walk-in registrations for the approval desk (newest first)
+app.get('/api/staff/walk-ins', requireStaff('staff'), async (req, res) => {
+    try {
+        if (!storage) {
+            throw new Error('Attendee storage not configured');
+        }
+        const users = await storage.listUsers();
+        const walkInUsers = users
+            .filter(user => user.source === 'walk-in')
+            .sort((a, b) => (b.registeredAt || '').localeCompare(a.registeredAt || ''))
+            .map(user => ({
+                attendeeId: user.attendeeId,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                email: user.email,
+                registeredAt: user.registeredAt,
+                marketingConsent: user.marketingConsent === 'TRUE',
+                approval: user.approval || 'approved',
+                approvedBy: user.approvedBy || null
+            }));
+
+        res.json({
+            success: true,
+            mode: walkIns.mode,
+            dailyCap: walkIns.dailyCap,
+            todayCount: walkIns.countToday(users),
+            walkIns: walkInUsers
+        });
+    } catch (error) {
+        console.error('Failed to list walk-ins:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to load walk-in registrations. Please try again later.'
+        });
+    }
+});
+
+// Approve or reject a pending walk-in; approved walk-ins are checked in
+app.post('/api/staff/walk-ins/:attendeeId/approval', requireStaff('staff'), validateRequest(REQUEST_SCHEMAS.walkInApproval), async (req, res) => {
+    const { attendeeId } = req.params;
+    const { decision } = req.body;
+
+    try {
+        const outcome = await withLockedAttendee(attendeeId, async user => {
+            if (user.source !== 'walk-in') {
+                return null;
+            }
+            // Another desk may have decided first
+            if (user.approval !== 'pending') {
+                return { user, decided: true };
+            }
+            await writeFields(user, {
+                approval: decision,
+                approvedBy: req.staff.username,
+                ...(decision === 'approved' ? checkInFields(req.staff.username) : {})
+            });
+            return { user, decided: false };
+        });
+        if (!outcome) {
+            return res.status(404).json({
+                success: false,
+                error: 'Walk-in not found'
+            });
+        }
+        const { user } = outcome;
+        if (outcome.decided) {
+            return res.status(409).json({
+                success: false,
+                error: 'WALK_IN_ALREADY_DECIDED',
+                message: `This walk-in was already ${user.approval || 'decided'}${user.approvedBy ? ` by ${user.approvedBy}` : ''}.`,
+                approval: user.approval || null,
+                approvedBy: user.approvedBy || null
+            });
+        }
+        publishProgress(user);
+
+        console.log(`Walk-in ${user.email} ${decision} by ${req.staff.username}`);
+        res.json({
+            success: true,
+            attendeeId,
+            approval: decision,
+            approvedBy: req.staff.username
+        });
+    } catch (error) {
+        console.error('Failed to update walk-in approval:', error);
+
+        // Check if it's a rate limit error
+        if (error.code === 429 || error.status === 429) {
+            res.setHeader('Retry-After', '5');
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded. Please try again in a few seconds.',
+                message: 'Too many requests - please wait a moment and try again.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to update walk-in at this time. Please try again later.'
+        });
+    }
+});
+
+// Attendee summary shown on the check-in kiosk
+function toCheckInAttendee(user) {
+    return {
+        attendeeId: user.attendeeId,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        registration: user.source === 'walk-in' ? `walk-in${user.approval ? ` (${user.approval})` : ''}` : 'pre-registered',
+        checkedIn: isCheckedIn(user),
+        checkedInAt: user.checkedInAt || null,
+        checkedInBy: user.checkedInBy || null,
+        specialNeeds: user.specialNeeds || '',
+        keyStatuses: KEY_CATALOG.getGroupProgress('main', user),
+        innovationPercentage: KEY_CATALOG.getGroupPercentage('innovation', user),
+        wonderPercentage: KEY_CATALOG.getGroupPercentage('wonder', user)
+    };
+}
+
+function sendCheckInStorageError(res, error, message) {
+    console.error(`${message}:`, error);
+
+    // Check if it's a rate limit error
+    if (error.code === 429 || error.status === 429) {
+        res.setHeader('Retry-After', '5');
+        return res.status(429).json({
+            success: false,
+            error: 'Rate limit exceeded. Please try again in a few seconds.',
+            message: 'Too many requests - please wait a moment and try again.'
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: `${message}. Please try again.`
+    });
+}
+
+// Look an attendee up at the kiosk by the text scanned from their QR pass, or by email
+app.post('/api/staff/checkin/lookup', requireStaff('staff'), validateRequest(REQUEST_SCHEMAS.checkInLookup), async (req, res) => {
+    const { scan, email } = req.body || {};
+
+    try {
+        let users = [];
+        if (scan) {
+            const pass = attendeeTokens && attendeeTokens.readPass(passFromScan(scan));
+            if (!pass) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'INVALID_PASS',
+                    message: 'This QR code is not a valid check-in pass.'
+                });
+            }
+            users = (await findUserById(pass.attendeeId)).filter(user => user.email && user.email.toLowerCase() === pass.email);
+        } else if (typeof email === 'string' && email.trim()) {
+            users = await findUserByEmail(email.trim());
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: scan or email'
+            });
+        }
+
+        const user = users[0];
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'ATTENDEE_NOT_FOUND',
+                message: 'No attendee found for this pass or email.'
+            });
+        }
+
+        await ensureAttendeeId(user);
+        res.json({ success: true, attendee: toCheckInAttendee(user) });
+    } catch (error) {
+        sendCheckInStorageError(res, error, 'Unable to look up attendee');
+    }
+});
+
+// Check an attendee in (or undo it) from the kiosk; the staff member and time are recorded
+app.post('/api/staff/checkin/:attendeeId', requireStaff('staff'), validateRequest(REQUEST_SCHEMAS.checkIn), async (req, res) => {
+    const { action } = req.body;
+
+    try {
+        const user = await withLockedAttendee(req.params.attendeeId, async current => {
+            await writeFields(current, action === 'check-in' ? checkInFields(req.staff.username) : undoCheckInFields());
+            return current;
+        });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'ATTENDEE_NOT_FOUND',
+                message: 'No attendee found for this pass or email.'
+            });
+        }
+        publishProgress(user);
+
+        console.log(`Kiosk ${action} for ${user.email} by ${req.staff.username}`);
+        res.json({ success: true, attendee: toCheckInAttendee(user) });
+    } catch (error) {
+        sendCheckInStorageError(res, error, 'Unable to update check-in');
+    }
+});
+
+// Record (or clear) a special needs note for an attendee from the kiosk
+app.post('/api/staff/checkin/:attendeeId/special-needs', requireStaff('staff'), validateRequest(REQUEST_SCHEMAS.specialNeeds), async (req, res) => {
+    const note = (req.body.note || '').trim();
+
+    try {
+        const users = await findUserById(req.params.attendeeId);
+        const user = users[0];
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'ATTENDEE_NOT_FOUND',
+                message: 'No attendee found for this pass or email.'
+            });
+        }
+
+        await writeFields(user, { specialNeeds: note });
+
+        console.log(`Special needs ${note ? 'flagged' : 'cleared'} for ${user.email} by ${req.staff.username}`);
+        res.json({ success: true, attendee: toCheckInAttendee(user) });
+    } catch (error) {
+        sendCheckInStorageError(res, error, 'Unable to save special needs');
+    }
+});
+
+// Admin endpoint to view analytics (staff session required via /api/admin middleware)
+app.get('/api/admin/analytics', async (req, res) => {
+    try {
+        const sessions = await sessionStore.list();
+        const analytics = {
+            totalSessions: sessions.length,
+            completedSessions: sessions.filter(s => s.isCompleted).length,
+            totalInteractions: sessions.reduce((sum, s) => sum + s.interactions.length, 0)
+        };
+        
+        res.json(analytics);
+    } catch (error) {
+        sendSessionStoreError(res, error);
+    }
+});
+
+// Admin endpoint for attendee storage metrics (row cache hit/miss counts, write queue depth, open event streams)
+app.get('/api/admin/metrics', (req, res) => {
+    res.json({
+        storage: storage ? storage.name : null,
+        attendeeCache: storage && storage.getCacheStats ? storage.getCacheStats() : null,
+        writeQueue: storage && storage.getWriteQueueStats ? storage.getWriteQueueStats() : null,
+        attendeeEvents: attendeeEvents.getStats()
+    });
+});
+
+// Admin endpoint for the live dashboard (admin-dashboard.html polls it)
+app.get('/api/admin/dashboard', async (req, res) => {
+    try {
+        if (!storage) {
+            throw new Error('Attendee storage not configured');
+        }
+        const users = await storage.listUsers();
+        res.json({
+            success: true,
+            generatedAt: new Date().toISOString(),
+            ...computeHuntStats(users, KEY_CATALOG.KEYS)
+        });
+    } catch (error) {
+        console.error('Failed to build dashboard stats:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to load dashboard stats. Please try again later.'
+        });
+    }
+});
+
+// Admin endpoint for one attendee's scan history and hunt timing
+app.get('/api/admin/scan-log/:attendeeId', validateRequest(REQUEST_SCHEMAS.scanLog), async (req, res) => {
+    if (!scanLog) {
+        return res.status(503).json({
+            success: false,
+            error: 'Configuration error',
+            message: 'Scan log is not configured. Please contact administrator.'
+        });
+    }
+
+    try {
+        const events = await scanLog.listForAttendee(req.params.attendeeId);
+        res.json({
+            success: true,
+            attendeeId: req.params.attendeeId,
+            summary: summarizeScans(events, KEY_CATALOG.KEYS),
+            events
+        });
+    } catch (error) {
+        console.error('Failed to read scan log:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to read the scan log at this time.'
+        });
+    }
+});
+
+// Admin endpoint for reviewing rejected requests (security-review.html polls it)
+app.get('/api/admin/security-events', validateRequest(REQUEST_SCHEMAS.securityEvents), (req, res) => {
+    if (!securityEvents) {
+        return res.status(503).json({
+            success: false,
+            error: 'Configuration error',
+            message: 'Security event log is not configured. Please contact administrator.'
+        });
+    }
+
+    res.json({
+        success: true,
+        blockingEnabled: securityEvents.blockingEnabled,
+        events: securityEvents.list({ ip: req.query.ip || null, limit: Number(req.query.limit) || 200 }),
+        topIps: securityEvents.topIps(),
+        blocks: securityEvents.listBlocks()
+    });
+});
+
+// Lift an IP block early (e.g. the venue's shared Wi-Fi address)
+app.delete('/api/admin/security-blocks/:ip', requireStaff('admin'), validateRequest(REQUEST_SCHEMAS.securityBlock), (req, res) => {
+    if (!securityEvents || !securityEvents.unblock(req.params.ip)) {
+        return res.status(404).json({
+            success: false,
+            error: 'BLOCK_NOT_FOUND',
+            message: 'That IP is not blocked.'
+        });
+    }
+    console.log(`🔓 ${req.staff.username} unblocked ${req.params.ip}`);
+    res.json({ success: true, ip: req.params.ip });
+});
+
+// Start a long-running server (not used on Vercel, which calls `app` per request)
+function listen(port) {
+    const server = app.listen(port, () => {
+        console.log(`🚀 CMKL OpenHouse secure server running on port ${port}`);
+        console.log(`📱 Visit: http://localhost:${port}`);
+    });
+
+    // Persist queued key writes before exiting
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.once(signal, async () => {
+            server.close();
+            if (storage && storage.flushWrites) {
+                try {
+                    console.log('💾 Flushing queued writes before shutdown...');
+                    await storage.flushWrites();
+                } catch (error) {
+                    console.error('❌ Failed to flush queued writes:', error);
+                }
+            }
+            if (securityEvents) {
+                securityEvents.flush();
+            }
+            if (sessionStore.flush) {
+                sessionStore.flush();
+            }
+            process.exit(0);
+        });
+    });
+
+    return server;
+}
+
+module.exports = { app, listen };
@@ -0,0 +1,96 @@
+const QRCode = require('qrcode');
+
+// Emails sent to attendees. Both carry a link to restore.html, which signs the attendee in on any device:
+// the confirmation email after their first sign-in (a QR check-in pass, restore.html?pass=...)
+// and magic links they ask for when switching devices (one-time, restore.html?magic=...).
+
+function escapeHtml(value) {
+    return String(value || '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+// Token -> absolute restore.html link, e.g. restoreUrl(baseUrl, 'pass', pass)
+function restoreUrl(baseUrl, param, token) {
+    return `${baseUrl.replace(/\/+$/, '')}/restore.html?${param}=${encodeURIComponent(token)}`;
+}
+
+function displayName(user) {
+    return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+}
+
+// -> { to, subject, text, html, attachments } ready for a mail transport
+async function buildConfirmationEmail({ user, pass, baseUrl }) {
+    const link = restoreUrl(baseUrl, 'pass', pass);
+    const qrPng = await QRCode.toBuffer(link, { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+    const name = displayName(user);
+
+    const text = [
+        `Hi ${name},`,
+        '',
+        'You are checked in for the CMKL OpenHouse 2025 key hunt.',
+        'Show the QR code in this email at the registration desk, or open this link on any phone to pick up where you left off:',
+        '',
+        link,
+        '',
+        'Keep this email private - the link signs you in.'
+    ].join('\n');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 480px; margin: 0 auto; color: #111;">
+            <h2>CMKL OpenHouse 2025</h2>
+            <p>Hi ${escapeHtml(name)},</p>
+            <p>You are checked in for the key hunt. Show this QR code at the registration desk, or open the link on any phone to pick up where you left off.</p>
+            <p style="text-align: center;"><img src="cid:checkin-pass" alt="Check-in QR code" width="240" height="240"></p>
+            <p style="text-align: center;"><a href="${escapeHtml(link)}">Continue the key hunt</a></p>
+            <p style="font-size: 12px; color: #666;">Keep this email private - the link signs you in.</p>
+        </div>`;
+
+    return {
+        to: user.email,
+        subject: 'Your CMKL OpenHouse 2025 check-in pass',
+        text,
+        html,
+        attachments: [
+            { filename: 'checkin-pass.png', content: qrPng, cid: 'checkin-pass' }
+        ]
+    };
+}
+
+// -> { to, subject, text, html } with a one-time sign-in link
+function buildMagicLinkEmail({ user, token, baseUrl, ttlMinutes }) {
+    const link = restoreUrl(baseUrl, 'magic', token);
+    const name = displayName(user);
+
+    const text = [
+        `Hi ${name},`,
+        '',
+        'Open this link on the phone you want to continue the CMKL OpenHouse 2025 key hunt on:',
+        '',
+        link,
+        '',
+        `The link works once and expires in ${ttlMinutes} minutes. If you did not ask for it, you can ignore this email.`
+    ].join('\n');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 480px; margin: 0 auto; color: #111;">
+            <h2>CMKL OpenHouse 2025</h2>
+            <p>Hi ${escapeHtml(name)},</p>
+            <p>Open this link on the phone you want to continue the key hunt on.</p>
+            <p style="text-align: center;"><a href="${escapeHtml(link)}">Sign in and continue</a></p>
+            <p style="font-size: 12px; color: #666;">The link works once and expires in ${ttlMinutes} minutes. If you did not ask for it, you can ignore this email.</p>
+        </div>`;
+
+    return {
+        to: user.email,
+        subject: 'Your CMKL OpenHouse 2025 sign-in link',
+        text,
+        html
+    };
+}
+
+module.exports = { buildConfirmationEmail, buildMagicLinkEmail, restoreUrl };
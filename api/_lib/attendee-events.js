@@ -0,0 +1,65 @@
+// Live attendee progress over Server-Sent Events (/api/harty/events).
+// Streams live in this process: on serverless hosts an update made by another instance only
+// reaches the page when its stream reconnects and receives a fresh snapshot.
+
+const DEFAULT_MAX_STREAMS_PER_ATTENDEE = 5; // A few tabs or devices per attendee
+const DEFAULT_HEARTBEAT_MS = 25000; // Below the idle timeouts of common proxies
+const RECONNECT_MS = 5000;
+
+function createAttendeeEvents({ maxStreamsPerAttendee = DEFAULT_MAX_STREAMS_PER_ATTENDEE, heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+    const streams = new Map(); // attendeeId -> Set of responses
+
+    function send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Start an event stream for the attendee; false when they already have too many open
+    function open(attendeeId, req, res) {
+        const attendeeStreams = streams.get(attendeeId) || new Set();
+        if (attendeeStreams.size >= maxStreamsPerAttendee) {
+            return false;
+        }
+        attendeeStreams.add(res);
+        streams.set(attendeeId, attendeeStreams);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            attendeeStreams.delete(res);
+            if (attendeeStreams.size === 0 && streams.get(attendeeId) === attendeeStreams) {
+                streams.delete(attendeeId);
+            }
+        });
+        return true;
+    }
+
+    // Send an event to every open stream of the attendee; returns how many received it
+    function publish(attendeeId, event, data) {
+        const attendeeStreams = streams.get(attendeeId);
+        if (!attendeeStreams) {
+            return 0;
+        }
+        attendeeStreams.forEach(res => send(res, event, data));
+        return attendeeStreams.size;
+    }
+
+    function getStats() {
+        let openStreams = 0;
+        streams.forEach(attendeeStreams => {
+            openStreams += attendeeStreams.size;
+        });
+        return { attendees: streams.size, streams: openStreams };
+    }
+
+    return { open, send, publish, getStats };
+}
+
+module.exports = { createAttendeeEvents };
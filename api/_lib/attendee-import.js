@@ -0,0 +1,202 @@
+const KEY_CATALOG = require('../../key-catalog');
+const { ATTENDEE_COLUMNS } = require('./storage/columns');
+
+// Registrant lists from external forms -> attendee fields, and attendee records -> report rows.
+// Used by attendees.js at the repo root; nothing here touches storage.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Columns a registrant list may fill. Ids, redeem codes, magic links, approvals and key statuses
+// are owned by the server and never imported.
+const IMPORT_INPUTS = ['firstname', 'lastname', 'email', 'specialNeeds'];
+const IMPORT_COLUMNS = ATTENDEE_COLUMNS.filter(column => IMPORT_INPUTS.includes(column.input));
+
+// Columns in reports. Attendee ids, redeem codes and magic link nonces act as credentials, so they stay out.
+const EXPORT_FIELDS = [
+    'firstName', 'lastName', 'email', 'checkin', 'checkedInAt', 'checkedInBy', 'specialNeeds',
+    'source', 'consentAt', 'marketingConsent', 'registeredAt', 'approval', 'approvedBy', 'confirmationSentAt',
+    'redeemKey', 'claimedAt', 'claimedBy',
+    ...KEY_CATALOG.KEYS.filter(key => key.readable !== false).map(key => key.field)
+];
+const EXPORT_COLUMNS = ATTENDEE_COLUMNS.filter(column => EXPORT_FIELDS.includes(column.field));
+
+// Form headers that mean the same as a sheet column (compared after normalizeHeader)
+const HEADER_ALIASES = {
+    firstname: ['firstname', 'givenname'],
+    lastname: ['lastname', 'surname', 'familyname'],
+    email: ['email', 'emailaddress', 'mail']
+};
+
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF line endings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    // Spreadsheet apps run cells starting with these as formulas
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// "Email Address=email,Given Name=firstname" -> { 'Email Address': 'email', 'Given Name': 'firstname' }
+function parseMappingOption(option) {
+    const mapping = {};
+    String(option || '').split(',').filter(Boolean).forEach(pair => {
+        const separator = pair.lastIndexOf('=');
+        if (separator === -1) {
+            throw new Error(`Invalid column mapping "${pair}" - expected "Header=field"`);
+        }
+        mapping[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+    });
+    return mapping;
+}
+
+// Header row + explicit mapping -> { columnIndex: input field }.
+// Headers not named in the mapping are matched against the sheet headers, field names and common aliases.
+// Only IMPORT_COLUMNS are considered; other headers are ignored.
+function resolveColumnMapping(headers, mapping = {}) {
+    const resolved = {};
+
+    Object.entries(mapping).forEach(([header, input]) => {
+        if (!IMPORT_INPUTS.includes(input)) {
+            throw new Error(`Field "${input}" cannot be imported. Use one of: ${IMPORT_INPUTS.join(', ')}`);
+        }
+        const index = headers.findIndex(candidate => normalizeHeader(candidate) === normalizeHeader(header));
+        if (index === -1) {
+            throw new Error(`Column "${header}" from the mapping is not in the file`);
+        }
+        resolved[index] = input;
+    });
+
+    headers.forEach((header, index) => {
+        if (resolved[index]) {
+            return;
+        }
+        const normalized = normalizeHeader(header);
+        const column = IMPORT_COLUMNS.find(candidate =>
+            [candidate.header, candidate.input, candidate.field].map(normalizeHeader).includes(normalized) ||
+            (HEADER_ALIASES[candidate.input] || []).includes(normalized)
+        );
+        if (column && !Object.values(resolved).includes(column.input)) {
+            resolved[index] = column.input;
+        }
+    });
+
+    if (!Object.values(resolved).includes('email')) {
+        throw new Error('No email column found - map one with --map "<header>=email"');
+    }
+    return resolved;
+}
+
+// Parsed rows (header first) -> { registrants, invalid, duplicates }.
+// Rows need a valid email and a last name (attendees sign in with both); the first row for an email wins.
+function prepareRegistrants(rows, mapping = {}) {
+    const [headers = [], ...dataRows] = rows;
+    const columnMapping = resolveColumnMapping(headers, mapping);
+    const registrants = [];
+    const invalid = [];
+    const duplicates = [];
+    const seen = new Set();
+
+    dataRows.forEach((cells, index) => {
+        const line = index + 2;
+        const fields = {};
+        Object.entries(columnMapping).forEach(([columnIndex, input]) => {
+            fields[input] = String(cells[columnIndex] ?? '').trim();
+        });
+        fields.email = fields.email.toLowerCase();
+
+        if (!EMAIL_PATTERN.test(fields.email)) {
+            invalid.push({ line, email: fields.email, reason: 'invalid email address' });
+        } else if (!fields.lastname) {
+            invalid.push({ line, email: fields.email, reason: 'missing last name' });
+        } else if (seen.has(fields.email)) {
+            duplicates.push({ line, email: fields.email, reason: 'duplicate in file' });
+        } else {
+            seen.add(fields.email);
+            registrants.push({ line, fields });
+        }
+    });
+
+    return { registrants, invalid, duplicates };
+}
+
+// Attendee record -> report row with the EXPORT_COLUMNS plus key progress per group
+function exportRecord(record) {
+    const row = {};
+    EXPORT_COLUMNS.forEach(column => {
+        row[column.field] = record[column.field] || '';
+    });
+    KEY_CATALOG.GROUPS.forEach(group => {
+        row[`${group.id}Percentage`] = KEY_CATALOG.getGroupPercentage(group.id, record);
+    });
+    return row;
+}
+
+function exportHeaders() {
+    return [
+        ...EXPORT_COLUMNS.map(column => column.header),
+        ...KEY_CATALOG.GROUPS.map(group => `${group.label} %`)
+    ];
+}
+
+module.exports = {
+    parseCsv,
+    toCsv,
+    parseMappingOption,
+    resolveColumnMapping,
+    prepareRegistrants,
+    exportRecord,
+    exportHeaders
+};
@@ -0,0 +1,115 @@
+const { parseCookies, serializeCookie } = require('./cookies');
+const { signPayload, verifyPayload } = require('./signed-payload');
+
+const ATTENDEE_COOKIE = 'attendee_token';
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+// Check-in passes are emailed once, so they outlive the event
+const PASS_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+
+// Signed attendee tokens issued at login. Key and progress endpoints take the attendee's
+// identity from the token instead of trusting recordId/email sent by the page.
+function createAttendeeTokens({ secret, secureCookies = false }) {
+    if (!secret) {
+        throw new Error('ATTENDEE_TOKEN_SECRET is required for attendee sign-in');
+    }
+
+    function issue(user) {
+        return signPayload(secret, {
+            id: user.attendeeId,
+            email: user.email.toLowerCase(),
+            exp: Date.now() + TOKEN_TTL_MS
+        });
+    }
+
+    // Emailed tokens carry a purpose so one kind can never be used as another (or as a sign-in token)
+    function issueForPurpose(purpose, user, ttlMs, extra = {}) {
+        return signPayload(secret, {
+            id: user.attendeeId,
+            email: user.email.toLowerCase(),
+            purpose,
+            ...extra,
+            exp: Date.now() + ttlMs
+        });
+    }
+
+    function readForPurpose(purpose, token) {
+        const payload = verifyPayload(secret, token);
+        if (!payload || payload.purpose !== purpose || !payload.id || !payload.email) {
+            return null;
+        }
+        return payload;
+    }
+
+    // Personal check-in pass (emailed as a QR code and link); it can be exchanged for a sign-in token
+    function issuePass(user) {
+        return issueForPurpose('pass', user, PASS_TTL_MS);
+    }
+
+    // Pass -> { attendeeId, email } or null
+    function readPass(pass) {
+        const payload = readForPurpose('pass', pass);
+        return payload ? { attendeeId: payload.id, email: payload.email } : null;
+    }
+
+    // One-time sign-in link; `nonce` must still match the attendee's row when the link is used
+    function issueMagicLink(user, nonce) {
+        return issueForPurpose('magic-link', user, MAGIC_LINK_TTL_MS, { nonce });
+    }
+
+    // Magic link token -> { attendeeId, email, nonce } or null
+    function readMagicLink(token) {
+        const payload = readForPurpose('magic-link', token);
+        return payload && payload.nonce ? { attendeeId: payload.id, email: payload.email, nonce: payload.nonce } : null;
+    }
+
+    function createCookie(token) {
+        return serializeCookie(ATTENDEE_COOKIE, token, { maxAgeSeconds: TOKEN_TTL_MS / 1000, secure: secureCookies });
+    }
+
+    // Authorization: Bearer <token> wins over the cookie so non-browser clients can call the API
+    function readToken(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice('Bearer '.length).trim();
+        }
+        return parseCookies(req.headers.cookie)[ATTENDEE_COOKIE];
+    }
+
+    // Request -> { attendeeId, email } or null
+    function readAttendee(req) {
+        const payload = verifyPayload(secret, readToken(req));
+        // Passes and other purpose-bound tokens are not sign-in tokens
+        if (!payload || payload.purpose || !payload.id || !payload.email) {
+            return null;
+        }
+        return { attendeeId: payload.id, email: payload.email };
+    }
+
+    // Middleware: require a valid attendee token, exposed as req.attendee
+    function requireAttendee(req, res, next) {
+        const attendee = readAttendee(req);
+        if (!attendee) {
+            return res.status(401).json({
+                success: false,
+                error: 'ATTENDEE_LOGIN_REQUIRED',
+                message: 'Your session has expired. Please sign in again.'
+            });
+        }
+        req.attendee = attendee;
+        next();
+    }
+
+    return {
+        issue,
+        issuePass,
+        readPass,
+        issueMagicLink,
+        readMagicLink,
+        createCookie,
+        readAttendee,
+        requireAttendee
+    };
+}
+
+module.exports = { MAGIC_LINK_TTL_MS, createAttendeeTokens };
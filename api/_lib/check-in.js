@@ -0,0 +1,61 @@
+// Check-in records: column D says whether the attendee is checked in, and `checkedInAt` /
+// `checkedInBy` say when and by whom ('self' when attendees sign in on their own phone,
+// otherwise the staff username from the kiosk or walk-in desk).
+
+const SELF_CHECK_IN = 'self';
+const CHECKED_IN = 'checked-in';
+// Column D after a staff undo, so signing in on the attendee's phone does not check them back in
+const UNDONE_CHECK_IN = 'undone';
+
+// Fields to write when an attendee is checked in
+function checkInFields(checkedInBy, now = new Date()) {
+    return {
+        checkin: CHECKED_IN,
+        checkedInAt: now.toISOString(),
+        checkedInBy
+    };
+}
+
+// Fields to write when staff undo a check-in
+function undoCheckInFields() {
+    return {
+        checkin: UNDONE_CHECK_IN,
+        checkedInAt: '',
+        checkedInBy: ''
+    };
+}
+
+// The one test for "is checked in", shared by the kiosk and the dashboard
+function isCheckedIn(record) {
+    return record.checkin === CHECKED_IN;
+}
+
+// Attendee sign-in checks in everyone not already checked in, except check-ins undone by staff
+// (column D may hold other values, e.g. 'scanned' from old key4 writes or a form pre-fill)
+function needsSelfCheckIn(record) {
+    return record.checkin !== CHECKED_IN && record.checkin !== UNDONE_CHECK_IN;
+}
+
+// Text read from an attendee's QR pass -> the pass token.
+// Passes encode a restore.html?pass=... link; a bare token (typed in by hand) works too.
+function passFromScan(scannedText) {
+    const text = String(scannedText || '').trim();
+    const match = /[?&]pass=([^&#\s]+)/.exec(text);
+    if (match) {
+        try {
+            return decodeURIComponent(match[1]);
+        } catch (error) {
+            return null;
+        }
+    }
+    return /^[\w-]+\.[\w-]+$/.test(text) ? text : null;
+}
+
+module.exports = {
+    SELF_CHECK_IN,
+    checkInFields,
+    undoCheckInFields,
+    isCheckedIn,
+    needsSelfCheckIn,
+    passFromScan
+};
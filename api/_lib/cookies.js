@@ -0,0 +1,33 @@
+// Minimal cookie helpers (the server has no cookie-parser dependency)
+
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            const name = part.slice(0, index).trim();
+            const value = part.slice(index + 1).trim();
+            // A stray '%' from another site's cookie must not fail the whole request - keep it raw
+            try {
+                cookies[name] = decodeURIComponent(value);
+            } catch (error) {
+                cookies[name] = value;
+            }
+        }
+    });
+    return cookies;
+}
+
+// serializeCookie('name', 'value', { maxAgeSeconds: 60, sameSite: 'Lax', secure: true })
+function serializeCookie(name, value, { maxAgeSeconds, sameSite = 'Lax', secure = false } = {}) {
+    let cookie = `${name}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=${sameSite}`;
+    if (maxAgeSeconds !== undefined) {
+        cookie += `; Max-Age=${maxAgeSeconds}`;
+    }
+    if (secure) {
+        cookie += '; Secure';
+    }
+    return cookie;
+}
+
+module.exports = { parseCookies, serializeCookie };
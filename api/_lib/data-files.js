@@ -0,0 +1,36 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local data files (attendees, sessions, scan log, security events, mail) default to data/ at
+// the repo root. Vercel only allows writes under the temp dir, so there they go to the temp dir
+// instead and last only as long as the instance.
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+// Default location of a data file or folder for this environment
+function defaultDataPath(env, name) {
+    return path.join(env.VERCEL ? os.tmpdir() : DATA_DIR, name);
+}
+
+// Parsed contents of a JSON file, or null when it does not exist yet
+function readJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated file
+function writeJsonFileAtomic(filePath, value, { pretty = false } = {}) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, pretty ? JSON.stringify(value, null, 2) : JSON.stringify(value));
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    DATA_DIR,
+    defaultDataPath,
+    readJsonFile,
+    writeJsonFileAtomic
+};
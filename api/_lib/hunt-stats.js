@@ -0,0 +1,82 @@
+const { isCheckedIn } = require('./check-in');
+
+// Key hunt statistics for the admin dashboard, computed from attendee records.
+// Pure functions of the records so the same numbers can be checked in tests or from a CLI.
+
+const DEFAULT_BUCKET_MINUTES = 15;
+
+// Rejected walk-ins never took part; everyone else counts as registered
+function isParticipant(user) {
+    return user.approval !== 'rejected';
+}
+
+// Check-ins per bucket of `bucketMinutes`, oldest first, with empty buckets filled in
+function checkInsOverTime(users, bucketMinutes) {
+    const bucketMs = bucketMinutes * 60 * 1000;
+    const counts = new Map();
+    users.forEach(user => {
+        const time = Date.parse(user.checkedInAt);
+        if (!isNaN(time)) {
+            const bucket = Math.floor(time / bucketMs) * bucketMs;
+            counts.set(bucket, (counts.get(bucket) || 0) + 1);
+        }
+    });
+    if (counts.size === 0) {
+        return [];
+    }
+
+    const buckets = [];
+    const last = Math.max(...counts.keys());
+    for (let bucket = Math.min(...counts.keys()); bucket <= last; bucket += bucketMs) {
+        buckets.push({ at: new Date(bucket).toISOString(), count: counts.get(bucket) || 0 });
+    }
+    return buckets;
+}
+
+// Stats for the dashboard: totals, check-ins over time, scans per station and the hunt funnel
+function computeHuntStats(users, keys, { bucketMinutes = DEFAULT_BUCKET_MINUTES } = {}) {
+    const participants = users.filter(isParticipant);
+    const stationKeys = keys.filter(key => key.readable !== false);
+    const redeemKeys = keys.filter(key => key.requiredForRedeem);
+    const hasScanned = key => user => user[key.field] === 'scanned';
+
+    const checkedIn = participants.filter(isCheckedIn);
+    const foundAKey = checkedIn.filter(user => stationKeys.some(key => hasScanned(key)(user)));
+    const redeemEligible = participants.filter(user => user.redeemKey === 'TRUE');
+    const codesClaimed = participants.filter(user => user.claimedAt);
+
+    const funnelSteps = [
+        { id: 'registered', label: 'Registered', count: participants.length },
+        { id: 'checked-in', label: 'Checked in', count: checkedIn.length },
+        { id: 'first-key', label: 'Found a key', count: foundAKey.length },
+        ...redeemKeys.map(key => ({ id: key.id, label: key.label, count: participants.filter(hasScanned(key)).length })),
+        { id: 'redeem-eligible', label: 'Redeem eligible', count: redeemEligible.length },
+        { id: 'claimed', label: 'Code claimed', count: codesClaimed.length }
+    ];
+
+    return {
+        totals: {
+            registered: participants.length,
+            checkedIn: checkedIn.length,
+            redeemEligible: redeemEligible.length,
+            codesClaimed: codesClaimed.length
+        },
+        checkIns: {
+            bucketMinutes,
+            buckets: checkInsOverTime(checkedIn, bucketMinutes)
+        },
+        stations: stationKeys.map(key => ({
+            id: key.id,
+            group: key.group,
+            label: key.label,
+            scanned: participants.filter(hasScanned(key)).length
+        })),
+        // dropOff is how many attendees reached the previous step but not this one
+        funnel: funnelSteps.map((step, index) => ({
+            ...step,
+            dropOff: index === 0 ? 0 : Math.max(funnelSteps[index - 1].count - step.count, 0)
+        }))
+    };
+}
+
+module.exports = { computeHuntStats };
@@ -0,0 +1,75 @@
+// Replays the stored response for a repeated Idempotency-Key, so a scanner retrying after a dropped
+// connection or a 429 gets the original answer instead of recording the scan twice.
+// Keys are scoped by `scopeFn(req)` (e.g. the attendee) and kept for `ttlMs`.
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 128;
+
+function createIdempotencyStore({ ttlMs = 10 * 60 * 1000, maxEntries = 10000, now = Date.now } = {}) {
+    const responses = new Map(); // scoped key -> { status, body, expiresAt } (insertion order = age)
+
+    function evict() {
+        const current = now();
+        for (const [key, entry] of responses) {
+            if (entry.expiresAt > current && responses.size <= maxEntries) {
+                break;
+            }
+            responses.delete(key);
+        }
+    }
+
+    function get(key) {
+        const entry = responses.get(key);
+        if (!entry || entry.expiresAt <= now()) {
+            return null;
+        }
+        return entry;
+    }
+
+    function set(key, status, body) {
+        responses.set(key, { status, body, expiresAt: now() + ttlMs });
+        evict();
+    }
+
+    // Middleware: requests without the header pass straight through.
+    // Run it inside a per-scope lock so a repeat cannot start before the first request has answered.
+    function middleware(scopeFn) {
+        return (req, res, next) => {
+            const idempotencyKey = req.headers[IDEMPOTENCY_HEADER];
+            if (!idempotencyKey) {
+                return next();
+            }
+            if (idempotencyKey.length > MAX_KEY_LENGTH) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid Idempotency-Key header'
+                });
+            }
+
+            const key = `${scopeFn(req)}:${req.path}:${idempotencyKey}`;
+            const stored = get(key);
+            if (stored) {
+                res.setHeader('Idempotent-Replay', 'true');
+                return res.status(stored.status).json(stored.body);
+            }
+
+            // Remember successful answers only, so failed attempts can be retried
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                if (res.statusCode < 400) {
+                    set(key, res.statusCode, body);
+                }
+                return json(body);
+            };
+            next();
+        };
+    }
+
+    return {
+        middleware,
+        get size() {
+            return responses.size;
+        }
+    };
+}
+
+module.exports = { createIdempotencyStore, IDEMPOTENCY_HEADER };
@@ -0,0 +1,64 @@
+// In-process mutex per key (e.g. per attendee email). Callers holding the same key run one at a time,
+// in arrival order; different keys never wait on each other.
+function createKeyedLock() {
+    const tails = new Map(); // key -> promise that settles when the last queued holder releases
+
+    // Wait for the key -> release()
+    async function acquire(key) {
+        const previous = tails.get(key) || Promise.resolve();
+        let release;
+        const held = new Promise(resolve => {
+            release = resolve;
+        });
+        const tail = previous.then(() => held);
+        tails.set(key, tail);
+
+        await previous;
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            release();
+            if (tails.get(key) === tail) {
+                tails.delete(key);
+            }
+        };
+    }
+
+    async function withLock(key, fn) {
+        const release = await acquire(key);
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    // Middleware: hold the lock for keyFn(req) until the response has been sent
+    function serialize(keyFn) {
+        return async (req, res, next) => {
+            const release = await acquire(keyFn(req));
+            // A client that hung up while queued has already fired 'close' - hand the key straight on
+            if (res.destroyed || res.writableEnded) {
+                release();
+                return;
+            }
+            res.on('finish', release);
+            res.on('close', release);
+            next();
+        };
+    }
+
+    return {
+        acquire,
+        withLock,
+        serialize,
+        get size() {
+            return tails.size;
+        }
+    };
+}
+
+module.exports = { createKeyedLock };
@@ -0,0 +1,14 @@
+// Logs each message's text part instead of sending it, for local development
+function createConsoleTransport() {
+    async function send(message) {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: null };
+    }
+
+    return {
+        name: 'console',
+        send
+    };
+}
+
+module.exports = { createConsoleTransport };
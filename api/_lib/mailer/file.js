@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Writes each message to `dir` as an .eml file (open it in any mail client), for testing without SMTP
+function createFileTransport({ dir }) {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    async function send(message) {
+        const info = await transporter.sendMail(message);
+        const safeRecipient = String(message.to).replace(/[^\w.@-]/g, '_');
+        const filePath = path.join(dir, `${Date.now()}-${safeRecipient}.eml`);
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(filePath, info.message);
+        console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+        return { messageId: info.messageId };
+    }
+
+    return {
+        name: 'file',
+        send
+    };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,39 @@
+const { defaultDataPath } = require('../data-files');
+const { createSmtpTransport } = require('./smtp');
+const { createFileTransport } = require('./file');
+const { createConsoleTransport } = require('./console');
+
+// Every mail transport exposes the same async interface:
+//   send({ from, to, subject, text, html, attachments }) -> { messageId }
+// `attachments` follow nodemailer's format ({ filename, content, cid } for inline images).
+
+const MAIL_TRANSPORTS = ['off', 'smtp', 'file', 'console'];
+
+// Pick a transport from MAIL_TRANSPORT (defaults to off: no email is sent) -> transport or null
+function createMailer(env = process.env) {
+    const transport = (env.MAIL_TRANSPORT || 'off').toLowerCase();
+
+    switch (transport) {
+        case 'off':
+            return null;
+        case 'smtp':
+            return createSmtpTransport({
+                host: env.SMTP_HOST,
+                port: Number(env.SMTP_PORT || 587),
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS
+            });
+        case 'file':
+            return createFileTransport({ dir: env.MAIL_DIR || defaultDataPath(env, 'mail') });
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${transport}". Use one of: ${MAIL_TRANSPORTS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    createMailer
+};
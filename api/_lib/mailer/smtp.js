@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+// Sends mail through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+function createSmtpTransport({ host, port, secure, user, pass }) {
+    if (!host) {
+        throw new Error('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    async function send(message) {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+
+    return {
+        name: 'smtp',
+        send
+    };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,114 @@
+// Token-bucket rate limiting. Each key (an IP or an attendee) gets `capacity` requests,
+// refilled at `refillPerSecond`, so short bursts are fine but a client stuck in a loop
+// cannot burn the shared Google Sheets quota for everyone else.
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+function createTokenBucket({ capacity, refillPerSecond, now = Date.now }) {
+    if (!(capacity > 0) || !(refillPerSecond > 0)) {
+        throw new Error('Token bucket needs a positive capacity and refillPerSecond');
+    }
+
+    const buckets = new Map();
+
+    function refill(bucket) {
+        const current = now();
+        const elapsedSeconds = (current - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+        bucket.updatedAt = current;
+    }
+
+    // Take one token for `key` -> { allowed, remaining, retryAfterSeconds }
+    function take(key) {
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: capacity, updatedAt: now() };
+            buckets.set(key, bucket);
+        }
+        refill(bucket);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+        }
+        return {
+            allowed: false,
+            remaining: 0,
+            retryAfterSeconds: Math.ceil((1 - bucket.tokens) / refillPerSecond)
+        };
+    }
+
+    // Full buckets behave the same as missing ones, so drop them to keep memory flat
+    function sweep() {
+        for (const [key, bucket] of buckets) {
+            refill(bucket);
+            if (bucket.tokens >= capacity) {
+                buckets.delete(key);
+            }
+        }
+    }
+
+    return {
+        take,
+        sweep,
+        get size() {
+            return buckets.size;
+        }
+    };
+}
+
+function clientIp(req) {
+    return req.ip || req.socket.remoteAddress || 'unknown';
+}
+
+// Attendee identity: the signed token (req.attendee) when present, otherwise the email being submitted
+function attendeeKey(req) {
+    if (req.attendee) {
+        return req.attendee.email;
+    }
+    const email = req.body && req.body.fields && req.body.fields.email;
+    return typeof email === 'string' ? email.toLowerCase() : null;
+}
+
+// Middleware: rateLimit({ name: 'update-key', ip: { capacity, refillPerSecond }, attendee: { capacity, refillPerSecond } })
+// Limits are applied per IP and per attendee; either can be left out.
+function rateLimit({ name, ip, attendee, now = Date.now }) {
+    const ipBucket = ip ? createTokenBucket({ ...ip, now }) : null;
+    const attendeeBucket = attendee ? createTokenBucket({ ...attendee, now }) : null;
+
+    setInterval(() => {
+        if (ipBucket) ipBucket.sweep();
+        if (attendeeBucket) attendeeBucket.sweep();
+    }, SWEEP_INTERVAL_MS).unref();
+
+    return (req, res, next) => {
+        const results = [];
+        if (ipBucket) {
+            results.push(ipBucket.take(clientIp(req)));
+        }
+        const attendeeId = attendeeBucket && attendeeKey(req);
+        if (attendeeId) {
+            results.push(attendeeBucket.take(attendeeId));
+        }
+
+        const blocked = results.filter(result => !result.allowed);
+        if (blocked.length > 0) {
+            const retryAfterSeconds = Math.max(...blocked.map(result => result.retryAfterSeconds));
+            console.warn(`⏳ Rate limit hit on ${name} from IP ${clientIp(req)}${attendeeId ? ` (${attendeeId})` : ''}`);
+            res.setHeader('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                error: 'Rate limit exceeded. Please try again in a few seconds.',
+                message: 'Too many requests - please wait a moment and try again.',
+                retryAfter: retryAfterSeconds
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    createTokenBucket,
+    rateLimit
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// No 0/O or 1/I so codes read back cleanly at the prize desk
+const ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const NONCE_LENGTH = 6;
+const SIGNATURE_LENGTH = 6;
+
+function encode(buffer, length) {
+    let output = '';
+    for (let i = 0; i < length; i++) {
+        output += ALPHABET[buffer[i] % ALPHABET.length];
+    }
+    return output;
+}
+
+// 'abcd efgh-jklm' -> 'ABCDEFGHJKLM'
+function normalizeRedeemCode(code) {
+    return String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+// 'ABCDEFGHJKLM' -> 'ABCD-EFGH-JKLM'
+function formatRedeemCode(code) {
+    return normalizeRedeemCode(code).match(/.{1,4}/g)?.join('-') || '';
+}
+
+// Redeem codes are a random nonce followed by an HMAC of that nonce and the attendee's email,
+// so a code cannot be guessed from a name or moved to another attendee.
+function createRedeemCodes({ secret }) {
+    if (!secret) {
+        throw new Error('REDEEM_CODE_SECRET is required to mint redeem codes');
+    }
+
+    function sign(nonce, email) {
+        const digest = crypto.createHmac('sha256', secret)
+            .update(`${nonce}:${email.toLowerCase()}`)
+            .digest();
+        return encode(digest, SIGNATURE_LENGTH);
+    }
+
+    // Mint a new code for an attendee
+    function mint(email) {
+        const nonce = encode(crypto.randomBytes(NONCE_LENGTH), NONCE_LENGTH);
+        return formatRedeemCode(nonce + sign(nonce, email));
+    }
+
+    // Check that a code was minted by this server for this attendee
+    function verify(code, email) {
+        const normalized = normalizeRedeemCode(code);
+        if (!email || normalized.length !== NONCE_LENGTH + SIGNATURE_LENGTH) {
+            return false;
+        }
+
+        const nonce = normalized.slice(0, NONCE_LENGTH);
+        const signature = Buffer.from(normalized.slice(NONCE_LENGTH));
+        const expected = Buffer.from(sign(nonce, email));
+        return crypto.timingSafeEqual(signature, expected);
+    }
+
+    return { mint, verify };
+}
+
+module.exports = {
+    createRedeemCodes,
+    normalizeRedeemCode,
+    formatRedeemCode
+};
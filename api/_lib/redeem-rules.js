@@ -0,0 +1,73 @@
+const KEY_CATALOG = require('../../key-catalog');
+
+// Redeem eligibility from the prize tiers in the key catalog (KEY_CATALOG.REDEEM_TIERS, best first).
+// An attendee qualifies for the first tier whose rules all hold; the Redeem Key column is set to
+// TRUE once they qualify for any tier. Records are keyed by attendee field, like storage returns them.
+
+function isScanned(key, record) {
+    return key.readable !== false && record[key.field] === 'scanned';
+}
+
+// Keys of a group that can count towards a rule (key4 is never read back, so it can never be scanned)
+function readableKeysInGroup(keys, groupId) {
+    return keys.filter(key => key.group === groupId && key.readable !== false);
+}
+
+// Tiers are checked once at startup so a typo in the catalog fails loudly instead of locking out every prize
+function checkTiers(tiers, keys) {
+    const groups = new Set(keys.map(key => key.group));
+    tiers.forEach(tier => {
+        if (!tier.id || !Array.isArray(tier.rules) || tier.rules.length === 0) {
+            throw new Error(`Redeem tier ${tier.id || '(no id)'} needs an id and at least one rule`);
+        }
+        tier.rules.forEach(rule => {
+            if ('key' in rule) {
+                const key = keys.find(candidate => candidate.id === rule.key);
+                if (!key || key.readable === false) {
+                    throw new Error(`Redeem tier ${tier.id}: key ${rule.key} is not a readable key`);
+                }
+            } else if ('group' in rule) {
+                const size = readableKeysInGroup(keys, rule.group).length;
+                if (!groups.has(rule.group) || size === 0 || (rule.atLeast !== undefined && !(rule.atLeast > 0 && rule.atLeast <= size))) {
+                    throw new Error(`Redeem tier ${tier.id}: group ${rule.group} needs atLeast between 1 and its ${size} readable keys`);
+                }
+            } else if (!(rule.points > 0)) {
+                throw new Error(`Redeem tier ${tier.id}: unknown rule ${JSON.stringify(rule)}`);
+            }
+        });
+    });
+}
+
+function createRedeemRules({ tiers = KEY_CATALOG.REDEEM_TIERS, keys = KEY_CATALOG.KEYS } = {}) {
+    checkTiers(tiers, keys);
+
+    function pointsFor(record) {
+        return keys.filter(key => isScanned(key, record)).reduce((sum, key) => sum + (key.points ?? 1), 0);
+    }
+
+    function ruleHolds(rule, record, points) {
+        if ('key' in rule) {
+            return isScanned(keys.find(key => key.id === rule.key), record);
+        }
+        if ('group' in rule) {
+            const groupKeys = readableKeysInGroup(keys, rule.group);
+            const scanned = groupKeys.filter(key => isScanned(key, record)).length;
+            return scanned >= (rule.atLeast ?? groupKeys.length);
+        }
+        return points >= rule.points;
+    }
+
+    // record -> { tier: { id, label } or null, points }
+    function evaluate(record) {
+        const points = pointsFor(record);
+        const tier = tiers.find(candidate => candidate.rules.every(rule => ruleHolds(rule, record, points)));
+        return {
+            tier: tier ? { id: tier.id, label: tier.label } : null,
+            points
+        };
+    }
+
+    return { tiers, evaluate };
+}
+
+module.exports = { createRedeemRules };
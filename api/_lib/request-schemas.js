@@ -0,0 +1,112 @@
+const KEY_CATALOG = require('../../key-catalog');
+const { SCAN_METHODS } = require('./scan-log');
+const { text, email, personName, id, oneOf, boolean, optional, object } = require('./validation');
+
+// Input schemas for the API routes (see ./validation). Signed tokens and passes are only
+// bounded in size here - their signatures are what makes them trustworthy.
+const MAX_TOKEN_LENGTH = 4096;
+// Attendees can only set keys that are read back; key4 shares the Check-in column, which staff own
+const KEY_STATUS_FIELDS = KEY_CATALOG.KEYS.filter(key => key.readable !== false).map(key => `${key.id} status`);
+const KEY_STATUSES = ['scanned', 'not_scanned'];
+// IPv4, IPv6 and IPv4-mapped IPv6 addresses as Express reports them in req.ip
+const IP_PATTERN = /^[0-9a-fA-F:.]{1,45}$/;
+
+function ipAddress() {
+    return text({ max: 45, pattern: IP_PATTERN, message: 'is not a valid IP address', allowEmpty: false });
+}
+
+const REQUEST_SCHEMAS = {
+    // Sign-in for pre-registered attendees, and walk-in registration with walkIn: true
+    submit: {
+        body: object({
+            fields: object({
+                email: email(),
+                lastname: personName(),
+                firstname: optional(personName()),
+                consent: optional(boolean()),
+                marketingConsent: optional(boolean())
+            }),
+            walkIn: optional(boolean())
+        })
+    },
+    pass: {
+        body: object({ pass: text({ max: MAX_TOKEN_LENGTH, allowEmpty: false }) })
+    },
+    magicLink: {
+        body: object({ fields: object({ email: email() }) })
+    },
+    magicLinkVerify: {
+        body: object({ token: text({ max: MAX_TOKEN_LENGTH, allowEmpty: false }) })
+    },
+    // Admin edits; columns other than the names and email are free text
+    update: {
+        body: object({
+            recordId: id(),
+            fields: object({
+                email: optional(email()),
+                firstname: optional(personName()),
+                lastname: optional(personName())
+            })
+        })
+    },
+    updateKey: {
+        body: object({
+            keyField: oneOf(KEY_STATUS_FIELDS),
+            status: oneOf(KEY_STATUSES),
+            scanMethod: optional(oneOf(SCAN_METHODS))
+        })
+    },
+    redeem: {
+        body: object({ code: text({ max: 64, allowEmpty: false }) })
+    },
+    userLookup: {
+        params: object({ email: email() })
+    },
+    staffLogin: {
+        body: object({
+            username: text({ max: 64, allowEmpty: false }),
+            password: text({ max: 256, allowEmpty: false })
+        })
+    },
+    walkInApproval: {
+        params: object({ attendeeId: id() }),
+        body: object({ decision: oneOf(['approved', 'rejected']) })
+    },
+    checkInLookup: {
+        body: object({
+            scan: optional(text({ max: MAX_TOKEN_LENGTH })),
+            email: optional(text({ max: 254 }))
+        })
+    },
+    checkIn: {
+        params: object({ attendeeId: id() }),
+        body: object({ action: oneOf(['check-in', 'undo']) })
+    },
+    specialNeeds: {
+        params: object({ attendeeId: id() }),
+        body: object({ note: optional(text({ max: 500 })) })
+    },
+    scanLog: {
+        params: object({ attendeeId: id() })
+    },
+    securityEvents: {
+        query: object({
+            ip: optional(ipAddress()),
+            limit: optional(text({ max: 4, pattern: /^\d+$/, message: 'must be a whole number' }))
+        })
+    },
+    securityBlock: {
+        params: object({ ip: ipAddress() })
+    }
+};
+
+// Schemas whose rejected values are never stored in the security event log: passwords, passes and
+// sign-in tokens would hand over an account to anyone who can read the log
+const SECRET_SCHEMAS = new Set([
+    REQUEST_SCHEMAS.pass,
+    REQUEST_SCHEMAS.magicLinkVerify,
+    REQUEST_SCHEMAS.staffLogin,
+    REQUEST_SCHEMAS.checkInLookup
+]);
+
+module.exports = { REQUEST_SCHEMAS, SECRET_SCHEMAS };
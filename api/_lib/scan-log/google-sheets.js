@@ -0,0 +1,46 @@
+const { withRetry } = require('../storage/google-sheets');
+
+// Columns of the scan log tab, in order (row 1 is the header)
+const SCAN_LOG_FIELDS = ['at', 'attendeeId', 'email', 'key', 'status', 'method', 'device'];
+const SCAN_LOG_HEADERS = ['Scanned At', 'Attendee ID', 'Email', 'Key', 'Status', 'Method', 'Device'];
+
+// Scan log kept in its own tab of the attendee spreadsheet, one row per event.
+// Appends never touch existing rows, so concurrent scans cannot overwrite each other.
+function createGoogleSheetsScanLog({ spreadsheetId, sheets, sheetName }) {
+    const range = `'${sheetName.replace(/'/g, "''")}'!A:G`;
+
+    async function readAll() {
+        return await withRetry(async () => {
+            const response = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+            const rows = response.data.values || [];
+            const dataRows = rows[0] && rows[0][0] === SCAN_LOG_HEADERS[0] ? rows.slice(1) : rows;
+            return dataRows.map(row => Object.fromEntries(SCAN_LOG_FIELDS.map((field, index) => [field, row[index] || ''])));
+        });
+    }
+
+    return {
+        name: 'sheets',
+
+        async append(event) {
+            await withRetry(async () => {
+                await sheets.spreadsheets.values.append({
+                    spreadsheetId,
+                    range,
+                    valueInputOption: 'RAW',
+                    insertDataOption: 'INSERT_ROWS',
+                    resource: { values: [SCAN_LOG_FIELDS.map(field => event[field] || '')] }
+                });
+            });
+        },
+
+        async listForAttendee(attendeeId) {
+            return (await readAll()).filter(event => event.attendeeId === attendeeId);
+        },
+
+        async list() {
+            return await readAll();
+        }
+    };
+}
+
+module.exports = { createGoogleSheetsScanLog, SCAN_LOG_HEADERS };
@@ -0,0 +1,108 @@
+const { defaultDataPath } = require('../data-files');
+const { createSheetsClient } = require('../storage/google-sheets');
+const { createGoogleSheetsScanLog } = require('./google-sheets');
+const { createJsonFileScanLog } = require('./json-file');
+const { createMemoryScanLog } = require('./memory');
+
+// Every key update is appended to the scan log; the key columns on the attendee record are a
+// projection of it (the latest status per key), rebuilt with `node attendees.js rebuild-keys`.
+//
+// Every scan log exposes the same async interface:
+//   append(event)               -> stores one event
+//   listForAttendee(attendeeId) -> [event] oldest first
+//   list()                      -> [event] oldest first
+// Events look like { at, attendeeId, email, key, status, method, device }.
+// The log follows STORAGE_BACKEND: a 'Scan Log' tab for sheets, data/scans.json for file.
+
+// How the key was collected: AR target, QR code, staff entry or a quest group unlock
+const SCAN_METHODS = ['ar', 'qr', 'manual', 'unlock'];
+const DEFAULT_SCAN_LOG_SHEET = 'Scan Log';
+const MAX_DEVICE_LENGTH = 200;
+
+function createScanLog(env = process.env) {
+    const backend = (env.STORAGE_BACKEND || 'sheets').toLowerCase();
+
+    switch (backend) {
+        case 'sheets':
+            return createGoogleSheetsScanLog({
+                spreadsheetId: env.GOOGLE_SHEETS_ID,
+                sheets: createSheetsClient({
+                    projectId: env.GOOGLE_PROJECT_ID,
+                    privateKey: env.GOOGLE_PRIVATE_KEY,
+                    clientEmail: env.GOOGLE_CLIENT_EMAIL,
+                    clientId: env.GOOGLE_CLIENT_ID
+                }),
+                sheetName: env.SCAN_LOG_SHEET || DEFAULT_SCAN_LOG_SHEET
+            });
+        case 'file':
+            return createJsonFileScanLog({ filePath: env.SCAN_LOG_FILE || defaultDataPath(env, 'scans.json') });
+        case 'memory':
+            return createMemoryScanLog();
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" for the scan log`);
+    }
+}
+
+// One scan log event; unknown methods are recorded as 'ar' (the scanner pages)
+function scanEvent({ user, key, status, method, device, now = new Date() }) {
+    return {
+        at: now.toISOString(),
+        attendeeId: user.attendeeId,
+        email: user.email,
+        key: key.id,
+        status,
+        method: SCAN_METHODS.includes(method) ? method : 'ar',
+        device: String(device || '').slice(0, MAX_DEVICE_LENGTH)
+    };
+}
+
+// Events -> { key1: 'scanned', ... } with the latest status per key
+function deriveKeyStatuses(events) {
+    const statuses = {};
+    sortByTime(events).forEach(event => {
+        statuses[event.key] = event.status;
+    });
+    return statuses;
+}
+
+// Events -> when the hunt started, when every redeem key was first scanned and the order keys were found
+function summarizeScans(events, keys) {
+    const sorted = sortByTime(events);
+    const firstScans = new Map();
+    sorted.forEach(event => {
+        if (event.status === 'scanned' && !firstScans.has(event.key)) {
+            firstScans.set(event.key, event.at);
+        }
+    });
+
+    const redeemKeys = keys.filter(key => key.requiredForRedeem).map(key => key.id);
+    const completedAt = redeemKeys.length > 0 && redeemKeys.every(id => firstScans.has(id))
+        ? redeemKeys.map(id => firstScans.get(id)).sort().pop()
+        : null;
+    const firstScanAt = sorted.length > 0 ? sorted[0].at : null;
+
+    return {
+        scans: sorted.length,
+        firstScanAt,
+        lastScanAt: sorted.length > 0 ? sorted[sorted.length - 1].at : null,
+        completedAt,
+        durationMinutes: completedAt ? Math.round((Date.parse(completedAt) - Date.parse(firstScanAt)) / 60000) : null,
+        order: Array.from(firstScans.keys())
+    };
+}
+
+// ISO timestamps sort as strings; the sort is stable, so equal times keep log order
+function sortByTime(events) {
+    return events.slice().sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+}
+
+module.exports = {
+    SCAN_METHODS,
+    createScanLog,
+    scanEvent,
+    deriveKeyStatuses,
+    summarizeScans,
+    createGoogleSheetsScanLog,
+    createJsonFileScanLog,
+    createMemoryScanLog
+};
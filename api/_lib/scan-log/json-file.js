@@ -0,0 +1,19 @@
+const { readJsonFile, writeJsonFileAtomic } = require('../data-files');
+const { createMemoryScanLog } = require('./memory');
+
+// Scan log that persists to a local JSON file, for offline booths.
+// The file holds `{ "scans": [ { at, attendeeId, key, status, ... } ] }` oldest first.
+function createJsonFileScanLog({ filePath }) {
+    const events = (readJsonFile(filePath) || {}).scans || [];
+
+    function save(updatedEvents) {
+        writeJsonFileAtomic(filePath, { scans: updatedEvents });
+    }
+
+    return {
+        ...createMemoryScanLog({ events, onChange: save }),
+        name: 'file'
+    };
+}
+
+module.exports = { createJsonFileScanLog };
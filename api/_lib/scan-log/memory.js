@@ -0,0 +1,26 @@
+// Scan log kept in process memory.
+// `events` seeds the log; `onChange` is called with every event after each append.
+function createMemoryScanLog({ events = [], onChange } = {}) {
+    const log = events.slice();
+
+    return {
+        name: 'memory',
+
+        async append(event) {
+            log.push({ ...event });
+            if (onChange) {
+                await onChange(log.slice());
+            }
+        },
+
+        async listForAttendee(attendeeId) {
+            return log.filter(event => event.attendeeId === attendeeId).map(event => ({ ...event }));
+        },
+
+        async list() {
+            return log.map(event => ({ ...event }));
+        }
+    };
+}
+
+module.exports = { createMemoryScanLog };
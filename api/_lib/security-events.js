@@ -0,0 +1,148 @@
+const { defaultDataPath, readJsonFile, writeJsonFileAtomic } = require('./data-files');
+
+// Security events: requests rejected by validation (see ./validation), kept so staff can tell
+// false positives from real abuse. With `blockAfter` set, an IP with that many events inside
+// `blockWindowMs` is blocked from attendee routes for `blockForMs`. A whole venue can share one
+// Wi-Fi address, so blocking is off unless SECURITY_BLOCK_AFTER is set.
+//
+// Events look like { at, ip, route, field, rule, value, userAgent, attendeeId, staff }.
+// With `filePath` the newest `maxEvents` are saved as `{ "events": [...] }` (at most once a second);
+// blocks only live in memory.
+
+const DEFAULT_MAX_EVENTS = 2000;
+const MAX_VALUE_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 200;
+const SAVE_DELAY_MS = 1000;
+
+function createSecurityEvents({ filePath = null, maxEvents = DEFAULT_MAX_EVENTS, blockAfter = 0, blockWindowMs = 10 * 60 * 1000, blockForMs = 15 * 60 * 1000 } = {}) {
+    let events = ((filePath && readJsonFile(filePath)) || {}).events || [];
+    const blocks = new Map(); // ip -> { ip, blockedAt, until, events }
+    let saveTimer = null;
+
+    function save() {
+        saveTimer = null;
+        writeJsonFileAtomic(filePath, { events });
+    }
+
+    // Save now if a save is waiting (on shutdown)
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            save();
+        }
+    }
+
+    function scheduleSave() {
+        if (filePath && !saveTimer) {
+            saveTimer = setTimeout(() => {
+                try {
+                    save();
+                } catch (error) {
+                    console.error('❌ Failed to save security events:', error.message);
+                }
+            }, SAVE_DELAY_MS);
+            saveTimer.unref();
+        }
+    }
+
+    // Store one event; returns the block it triggered, if any
+    function record(event, now = new Date()) {
+        events.push({
+            at: now.toISOString(),
+            ip: event.ip || '',
+            route: event.route || '',
+            field: event.field || '',
+            rule: event.rule || '',
+            value: String(event.value ?? '').slice(0, MAX_VALUE_LENGTH),
+            userAgent: String(event.userAgent || '').slice(0, MAX_USER_AGENT_LENGTH),
+            attendeeId: event.attendeeId || null,
+            staff: event.staff || null
+        });
+        if (events.length > maxEvents) {
+            events = events.slice(-maxEvents);
+        }
+        scheduleSave();
+
+        if (blockAfter > 0 && event.ip && !isBlocked(event.ip, now)) {
+            const since = new Date(now.getTime() - blockWindowMs).toISOString();
+            const recentHits = events.filter(entry => entry.ip === event.ip && entry.at >= since).length;
+            if (recentHits >= blockAfter) {
+                const block = { ip: event.ip, blockedAt: now.toISOString(), until: new Date(now.getTime() + blockForMs).toISOString(), events: recentHits };
+                blocks.set(event.ip, block);
+                return block;
+            }
+        }
+        return null;
+    }
+
+    // The active block for an IP, or null (expired blocks are dropped)
+    function isBlocked(ip, now = new Date()) {
+        const block = blocks.get(ip);
+        if (block && block.until <= now.toISOString()) {
+            blocks.delete(ip);
+            return null;
+        }
+        return block || null;
+    }
+
+    function unblock(ip) {
+        return blocks.delete(ip);
+    }
+
+    function listBlocks(now = new Date()) {
+        return Array.from(blocks.keys()).map(ip => isBlocked(ip, now)).filter(Boolean);
+    }
+
+    // Newest first, optionally for one IP
+    function list({ ip = null, limit = 200 } = {}) {
+        const matching = ip ? events.filter(event => event.ip === ip) : events;
+        return matching.slice(-limit).reverse();
+    }
+
+    // IPs with the most events, for spotting repeat offenders (or a shared venue address)
+    function topIps(limit = 10) {
+        const counts = new Map();
+        events.forEach(event => {
+            const entry = counts.get(event.ip) || { ip: event.ip, events: 0, lastAt: null };
+            entry.events++;
+            entry.lastAt = event.at;
+            counts.set(event.ip, entry);
+        });
+        return Array.from(counts.values()).sort((a, b) => b.events - a.events).slice(0, limit);
+    }
+
+    return {
+        blockingEnabled: blockAfter > 0,
+        record,
+        isBlocked,
+        unblock,
+        listBlocks,
+        list,
+        topIps,
+        flush
+    };
+}
+
+function numberFromEnv(env, name, fallback) {
+    const value = Number(env[name] || fallback);
+    if (isNaN(value) || value < 0) {
+        throw new Error(`Invalid ${name} "${env[name]}" - expected a number`);
+    }
+    return value;
+}
+
+// SECURITY_EVENT_STORE picks file (default) or memory; SECURITY_BLOCK_AFTER turns on IP blocking
+function securityEventsFromEnv(env = process.env) {
+    const store = (env.SECURITY_EVENT_STORE || 'file').toLowerCase();
+    if (!['file', 'memory'].includes(store)) {
+        throw new Error(`Unknown SECURITY_EVENT_STORE "${store}". Use one of: file, memory`);
+    }
+    return createSecurityEvents({
+        filePath: store === 'file' ? env.SECURITY_EVENT_FILE || defaultDataPath(env, 'security-events.json') : null,
+        blockAfter: numberFromEnv(env, 'SECURITY_BLOCK_AFTER', 0),
+        blockWindowMs: numberFromEnv(env, 'SECURITY_BLOCK_WINDOW_MINUTES', 10) * 60 * 1000,
+        blockForMs: numberFromEnv(env, 'SECURITY_BLOCK_MINUTES', 15) * 60 * 1000
+    });
+}
+
+module.exports = { createSecurityEvents, securityEventsFromEnv };
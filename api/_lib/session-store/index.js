@@ -0,0 +1,51 @@
+const { defaultDataPath } = require('../data-files');
+const { createJsonFileSessionStore } = require('./json-file');
+const { createMemorySessionStore } = require('./memory');
+
+// Every session store exposes the same async interface:
+//   get(sessionId)          -> session or null (missing or expired)
+//   set(sessionId, session) -> stores the session and refreshes its expiry
+//   remove(sessionId)
+//   list()                  -> [session] that have not expired
+//   sweep()                 -> number of expired sessions removed
+// set() throws an error with code 'SESSION_LIMIT' when creating one more session than
+// SESSION_MAX allows. The file store also has flush() to write pending changes on shutdown.
+
+const SESSION_STORES = ['file', 'memory'];
+const DEFAULT_SESSION_TTL_HOURS = 12; // One event day
+const DEFAULT_MAX_SESSIONS = 5000;
+
+// Pick a store from SESSION_STORE (defaults to a JSON file)
+function createSessionStore(env = process.env) {
+    const backend = (env.SESSION_STORE || 'file').toLowerCase();
+    const ttlHours = Number(env.SESSION_TTL_HOURS || DEFAULT_SESSION_TTL_HOURS);
+    if (!(ttlHours > 0)) {
+        throw new Error(`Invalid SESSION_TTL_HOURS "${env.SESSION_TTL_HOURS}" - expected a positive number`);
+    }
+    const ttlMs = ttlHours * 60 * 60 * 1000;
+    const maxSessions = Number(env.SESSION_MAX || DEFAULT_MAX_SESSIONS);
+    if (!(maxSessions > 0)) {
+        throw new Error(`Invalid SESSION_MAX "${env.SESSION_MAX}" - expected a positive number`);
+    }
+
+    switch (backend) {
+        case 'file':
+            return createJsonFileSessionStore({
+                filePath: env.SESSION_FILE || defaultDataPath(env, 'sessions.json'),
+                ttlMs,
+                maxSessions
+            });
+        case 'memory':
+            return createMemorySessionStore({ ttlMs, maxSessions });
+        default:
+            throw new Error(`Unknown SESSION_STORE "${backend}". Use one of: ${SESSION_STORES.join(', ')}`);
+    }
+}
+
+module.exports = {
+    SESSION_STORES,
+    DEFAULT_MAX_SESSIONS,
+    createSessionStore,
+    createJsonFileSessionStore,
+    createMemorySessionStore
+};
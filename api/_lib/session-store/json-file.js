@@ -0,0 +1,49 @@
+const { readJsonFile, writeJsonFileAtomic } = require('../data-files');
+const { createMemorySessionStore } = require('./memory');
+
+const SAVE_DELAY_MS = 1000;
+
+// Session store that persists sessions to a local JSON file so they survive restarts.
+// The file holds `{ "sessions": { "<sessionId>": { "session": {...}, "expiresAt": 1700000000000 } } }`.
+// Writes are batched: the file is rewritten at most once every `saveDelayMs`, and flush()
+// writes a pending save straight away (on shutdown).
+function createJsonFileSessionStore({ filePath, ttlMs, maxSessions, saveDelayMs = SAVE_DELAY_MS }) {
+    const entries = Object.entries((readJsonFile(filePath) || {}).sessions || {});
+    let latestEntries = null;
+    let saveTimer = null;
+
+    function save() {
+        saveTimer = null;
+        writeJsonFileAtomic(filePath, { sessions: Object.fromEntries(latestEntries) });
+    }
+
+    function scheduleSave(updatedEntries) {
+        latestEntries = updatedEntries;
+        if (!saveTimer) {
+            saveTimer = setTimeout(() => {
+                try {
+                    save();
+                } catch (error) {
+                    console.error('❌ Failed to save sessions:', error.message);
+                }
+            }, saveDelayMs);
+            saveTimer.unref();
+        }
+    }
+
+    // Save now if a save is waiting (on shutdown)
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            save();
+        }
+    }
+
+    return {
+        ...createMemorySessionStore({ ttlMs, maxSessions, entries, onChange: scheduleSave }),
+        name: 'file',
+        flush
+    };
+}
+
+module.exports = { createJsonFileSessionStore };
@@ -0,0 +1,92 @@
+// Session store that keeps AR game sessions in process memory.
+// Entries expire `ttlMs` after their last write; expired entries are treated as missing
+// and removed by sweep(). `entries` seeds the store as [[sessionId, { session, expiresAt }]];
+// `onChange` is called with the full entry list after every write.
+// At most `maxSessions` live sessions are kept: creating one more throws an error with
+// code 'SESSION_LIMIT' (existing sessions can still be updated).
+function createMemorySessionStore({ ttlMs, maxSessions = Infinity, entries = [], onChange, now = Date.now } = {}) {
+    if (!ttlMs || ttlMs <= 0) {
+        throw new Error('Session store needs a positive ttlMs');
+    }
+    if (!(maxSessions > 0)) {
+        throw new Error('Session store needs a positive maxSessions');
+    }
+
+    const store = new Map(entries.filter(([, entry]) => entry.expiresAt > now()));
+
+    async function changed() {
+        if (onChange) {
+            await onChange(Array.from(store.entries()));
+        }
+    }
+
+    function isExpired(entry) {
+        return entry.expiresAt <= now();
+    }
+
+    async function get(sessionId) {
+        const entry = store.get(sessionId);
+        if (!entry || isExpired(entry)) {
+            return null;
+        }
+        return entry.session;
+    }
+
+    function dropExpired() {
+        let removed = 0;
+        for (const [sessionId, entry] of store) {
+            if (isExpired(entry)) {
+                store.delete(sessionId);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    // Create or replace a session and push its expiry out by ttlMs
+    async function set(sessionId, session) {
+        if (!store.has(sessionId) && store.size >= maxSessions) {
+            dropExpired();
+        }
+        if (!store.has(sessionId) && store.size >= maxSessions) {
+            const error = new Error(`Session limit of ${maxSessions} reached`);
+            error.code = 'SESSION_LIMIT';
+            throw error;
+        }
+        store.set(sessionId, { session, expiresAt: now() + ttlMs });
+        await changed();
+    }
+
+    async function remove(sessionId) {
+        if (store.delete(sessionId)) {
+            await changed();
+        }
+    }
+
+    // All sessions that have not expired
+    async function list() {
+        return Array.from(store.values())
+            .filter(entry => !isExpired(entry))
+            .map(entry => entry.session);
+    }
+
+    // Drop expired sessions -> number removed
+    async function sweep() {
+        const removed = dropExpired();
+        if (removed > 0) {
+            await changed();
+        }
+        return removed;
+    }
+
+    return {
+        name: 'memory',
+        get,
+        set,
+        remove,
+        list,
+        sweep
+    };
+}
+
+module.exports = { createMemorySessionStore };
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Compact signed tokens: base64url(JSON payload) + '.' + base64url(HMAC-SHA256).
+// Payloads carry an `exp` timestamp (ms) and are rejected once it has passed.
+
+function sign(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function signPayload(secret, payload) {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${sign(secret, data)}`;
+}
+
+// Token -> payload, or null if the signature is wrong or the token has expired
+function verifyPayload(secret, token) {
+    const [data, signature] = String(token || '').split('.');
+    if (!data || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(secret, data));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp < Date.now()) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { signPayload, verifyPayload };
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { parseCookies, serializeCookie } = require('./cookies');
+const { signPayload, verifyPayload } = require('./signed-payload');
+
+// Roles in increasing order of access
+const STAFF_ROLES = ['viewer', 'staff', 'admin'];
+const SESSION_COOKIE = 'staff_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // One event day
+
+// Checked against when the username is unknown, so a miss costs the same scrypt run as a wrong password
+const DUMMY_ACCOUNT = { salt: '00000000000000000000000000000000', hash: '00'.repeat(32) };
+
+// Async scrypt, so password checks don't block the event loop for other requests
+function scrypt(password, salt, keyLength) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, keyLength, (error, key) => (error ? reject(error) : resolve(key)));
+    });
+}
+
+// Hash a password for STAFF_ACCOUNTS -> 'salthex:hashhex'
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+// STAFF_ACCOUNTS="alice:admin:salthex:hashhex,bob:staff:salthex:hashhex"
+function parseStaffAccounts(value) {
+    const accounts = new Map();
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [username, role, salt, hash] = entry.split(':');
+        if (!username || !STAFF_ROLES.includes(role) || !salt || !hash) {
+            throw new Error(`Invalid STAFF_ACCOUNTS entry for "${username || entry}" - expected username:role:salt:hash`);
+        }
+        accounts.set(username.toLowerCase(), { username, role, salt, hash });
+    });
+    return accounts;
+}
+
+function hasRole(role, minRole) {
+    return STAFF_ROLES.indexOf(role) >= STAFF_ROLES.indexOf(minRole);
+}
+
+// Staff login with password accounts from env and stateless signed session cookies,
+// so sessions survive serverless cold starts without a session store.
+function createStaffAuth({ accounts, sessionSecret, secureCookies = false }) {
+    if (!sessionSecret) {
+        throw new Error('STAFF_SESSION_SECRET is required for staff login');
+    }
+
+    const staffAccounts = parseStaffAccounts(accounts);
+
+    // Check a username/password pair -> Promise<{ username, role } | null>
+    async function authenticate(username, password) {
+        const account = staffAccounts.get(String(username || '').toLowerCase());
+        const candidate = account || DUMMY_ACCOUNT;
+
+        const expected = Buffer.from(candidate.hash, 'hex');
+        const actual = await scrypt(String(password || ''), candidate.salt, expected.length);
+        if (!account || !password || !crypto.timingSafeEqual(actual, expected)) {
+            return null;
+        }
+        return { username: account.username, role: account.role };
+    }
+
+    function createSessionCookie(staff) {
+        const token = signPayload(sessionSecret, {
+            u: staff.username,
+            r: staff.role,
+            exp: Date.now() + SESSION_TTL_MS
+        });
+        return serializeCookie(SESSION_COOKIE, token, { maxAgeSeconds: SESSION_TTL_MS / 1000, sameSite: 'Strict', secure: secureCookies });
+    }
+
+    function clearSessionCookie() {
+        return serializeCookie(SESSION_COOKIE, '', { maxAgeSeconds: 0, sameSite: 'Strict', secure: secureCookies });
+    }
+
+    // Session cookie -> { username, role } or null
+    function readSession(req) {
+        const session = verifyPayload(sessionSecret, parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+        if (!session) {
+            return null;
+        }
+
+        // Drop sessions for since-removed accounts and pick up role changes
+        const account = staffAccounts.get(String(session.u).toLowerCase());
+        if (!account) {
+            return null;
+        }
+        return { username: account.username, role: account.role };
+    }
+
+    // Middleware: require a signed-in staff member with at least `minRole`
+    function requireStaff(minRole = 'viewer') {
+        return (req, res, next) => {
+            const staff = readSession(req);
+            if (!staff) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'STAFF_LOGIN_REQUIRED',
+                    message: 'Please sign in with a staff account.'
+                });
+            }
+            if (!hasRole(staff.role, minRole)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'INSUFFICIENT_ROLE',
+                    message: `This action requires the ${minRole} role.`
+                });
+            }
+            req.staff = staff;
+            next();
+        };
+    }
+
+    return {
+        authenticate,
+        createSessionCookie,
+        clearSessionCookie,
+        readSession,
+        requireStaff
+    };
+}
+
+module.exports = {
+    STAFF_ROLES,
+    createStaffAuth,
+    hashPassword,
+    parseStaffAccounts
+};
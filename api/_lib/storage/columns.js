@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const KEY_CATALOG = require('../../../key-catalog');
+
+// Attendee sheet columns that are not key stations
+const BASE_COLUMNS = [
+    { field: 'firstName', input: 'firstname', header: 'First Name', column: 'A' },
+    { field: 'lastName', input: 'lastname', header: 'Last Name', column: 'B' },
+    { field: 'email', input: 'email', header: 'Email', column: 'C' },
+    { field: 'checkin', input: 'checkin', header: 'Check-in', column: 'D' },
+    { field: 'redeemKey', input: 'redeemKey', header: 'Redeem Key', column: 'H', defaultValue: 'FALSE' },
+    { field: 'code', input: 'code', header: 'CODE', column: 'I' },
+    { field: 'claimedAt', input: 'claimedAt', header: 'Claimed At', column: 'T' },
+    { field: 'claimedBy', input: 'claimedBy', header: 'Claimed By', column: 'U' },
+    // Stable id handed to the browser instead of the row number, which changes when the sheet is sorted
+    { field: 'attendeeId', input: 'attendeeId', header: 'Attendee ID', column: 'V' },
+    // Walk-in registrations (blank for attendees who pre-registered online)
+    { field: 'source', input: 'source', header: 'Source', column: 'W' },
+    { field: 'consentAt', input: 'consentAt', header: 'Consent At', column: 'X' },
+    { field: 'marketingConsent', input: 'marketingConsent', header: 'Marketing Consent', column: 'Y' },
+    { field: 'registeredAt', input: 'registeredAt', header: 'Registered At', column: 'Z' },
+    { field: 'approval', input: 'approval', header: 'Approval', column: 'AA' },
+    { field: 'approvedBy', input: 'approvedBy', header: 'Approved By', column: 'AB' },
+    // Set once the confirmation email with the check-in pass has gone out
+    { field: 'confirmationSentAt', input: 'confirmationSentAt', header: 'Confirmation Sent At', column: 'AC' },
+    // Nonce of the attendee's latest magic link; cleared when the link is used, so each link works once
+    { field: 'magicLinkNonce', input: 'magicLinkNonce', header: 'Magic Link', column: 'AD' },
+    // When and by whom the attendee was checked in ('self' for sign-in on their own phone), see ../check-in.js
+    { field: 'checkedInAt', input: 'checkedInAt', header: 'Checked In At', column: 'AE' },
+    { field: 'checkedInBy', input: 'checkedInBy', header: 'Checked In By', column: 'AF' },
+    // Free-text note from the check-in kiosk (wheelchair access, interpreter, ...)
+    { field: 'specialNeeds', input: 'specialNeeds', header: 'Special Needs', column: 'AG' }
+];
+
+// Convert a 0-based column index to a spreadsheet letter (0 -> A, 25 -> Z, 26 -> AA)
+function columnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
+
+function columnIndexOf(field) {
+    const index = ATTENDEE_COLUMNS.findIndex(column => column.field === field);
+    if (index === -1) {
+        throw new Error(`Unknown attendee field: ${field}`);
+    }
+    return index;
+}
+
+function columnIndexFromLetter(letter) {
+    return letter.split('').reduce((index, char) => index * 26 + (char.charCodeAt(0) - 64), 0) - 1;
+}
+
+// Attendee sheet layout shared by every storage backend, built from the base columns plus
+// one column per key in the catalog. Order matters: index 0 is column A, index 1 is column B, and so on.
+function buildAttendeeColumns() {
+    const columns = [...BASE_COLUMNS];
+    KEY_CATALOG.KEYS.forEach(key => {
+        const existing = columns.find(column => column.column === key.column);
+        if (existing) {
+            // A key may share a base column (key4 writes to Check-in)
+            if (existing.field !== key.field) {
+                throw new Error(`Key ${key.id} uses column ${key.column}, which already holds ${existing.field}`);
+            }
+            return;
+        }
+        columns.push({ field: key.field, input: key.field, header: key.id.toUpperCase(), column: key.column });
+    });
+
+    columns.sort((a, b) => columnIndexFromLetter(a.column) - columnIndexFromLetter(b.column));
+    columns.forEach((column, index) => {
+        if (column.column !== columnLetter(index)) {
+            throw new Error(`Attendee columns must be contiguous: expected column ${columnLetter(index)} but found ${column.column} (${column.field})`);
+        }
+    });
+    return columns;
+}
+
+const ATTENDEE_COLUMNS = buildAttendeeColumns();
+const LAST_COLUMN = columnLetter(ATTENDEE_COLUMNS.length - 1);
+const HEADER_ROW = ATTENDEE_COLUMNS.map(column => column.header);
+
+// Sheet row (array of cell values) -> attendee record
+function rowToRecord(row, rowIndex) {
+    const record = { rowIndex };
+    ATTENDEE_COLUMNS.forEach((column, index) => {
+        record[column.field] = row[index] || column.defaultValue || '';
+    });
+    return record;
+}
+
+// Attendee record -> request-style fields, e.g. to rewrite a row with one value changed
+function recordToFields(record) {
+    const fields = {};
+    ATTENDEE_COLUMNS.forEach(column => {
+        fields[column.input] = record[column.field] || column.defaultValue || '';
+    });
+    return fields;
+}
+
+// Fields for a brand-new attendee row: checked in unless told otherwise, with a fresh attendee id unless one is given
+function newAttendeeFields(fields) {
+    return {
+        ...fields,
+        checkin: fields.checkin ?? 'checked-in',
+        attendeeId: fields.attendeeId || crypto.randomUUID()
+    };
+}
+
+// Request-style fields (firstname, lastname, ...) -> sheet row
+function fieldsToRow(fields) {
+    return ATTENDEE_COLUMNS.map(column => fields[column.input] || column.defaultValue || '');
+}
+
+module.exports = {
+    ATTENDEE_COLUMNS,
+    HEADER_ROW,
+    LAST_COLUMN,
+    columnLetter,
+    columnIndexOf,
+    rowToRecord,
+    recordToFields,
+    newAttendeeFields,
+    fieldsToRow
+};
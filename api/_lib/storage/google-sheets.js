@@ -0,0 +1,296 @@
+const { google } = require('googleapis');
+const {
+    LAST_COLUMN,
+    columnLetter,
+    columnIndexOf,
+    rowToRecord,
+    fieldsToRow,
+    newAttendeeFields
+} = require('./columns');
+const { createWriteQueue } = require('./write-queue');
+
+// Google Sheets helper functions
+async function withRetry(fn, maxRetries = 3, baseDelay = 1000) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            // Check if it's a rate limit error
+            if (error.code === 429 || error.status === 429) {
+                if (attempt === maxRetries) {
+                    throw error; // Last attempt, give up
+                }
+
+                // Exponential backoff: wait longer each time
+                const delay = baseDelay * Math.pow(2, attempt - 1);
+                console.log(`Rate limited (attempt ${attempt}/${maxRetries}). Waiting ${delay}ms before retry...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+
+            // If it's not a rate limit error, throw immediately
+            throw error;
+        }
+    }
+}
+
+// 'Sheet1!A5:U5' -> 5 (the first row of the range)
+function rowIndexFromRange(range) {
+    const match = /!?[A-Z]+(\d+)(?::[A-Z]+\d+)?$/.exec(range || '');
+    if (!match) {
+        throw new Error(`Unexpected range from Sheets append: ${range}`);
+    }
+    return parseInt(match[1], 10);
+}
+
+// Cells are sent USER_ENTERED so TRUE and numbers keep their types, which would also run text
+// such as "=IMPORTXML(...)" from a form as a formula; a leading apostrophe keeps it literal
+function toSheetValue(value) {
+    return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+function toSheetRow(row) {
+    return row.map(toSheetValue);
+}
+
+// Sheets API client for a service account
+function createSheetsClient(credentials) {
+    const auth = new google.auth.GoogleAuth({
+        credentials: {
+            type: 'service_account',
+            project_id: credentials.projectId,
+            private_key: credentials.privateKey.replace(/\\n/g, '\n'),
+            client_email: credentials.clientEmail,
+            client_id: credentials.clientId
+        },
+        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+    });
+    return google.sheets({ version: 'v4', auth });
+}
+
+// Storage backend that keeps attendees in a Google Sheet (row 1 is the header).
+// Pass `sheets` to reuse an existing client; otherwise one is built from `credentials`.
+// With `writeBatchMs` set, writeField() goes through a write-behind queue that sends all pending
+// cells in one values.batchUpdate per interval; reads see queued values straight away.
+function createGoogleSheetsStorage({ spreadsheetId, credentials, sheets, writeBatchMs = 0 }) {
+    if (!sheets) {
+        sheets = createSheetsClient(credentials);
+    }
+
+    async function getValues(range) {
+        const response = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+        return response.data.values || [];
+    }
+
+    async function setValues(range, values) {
+        await sheets.spreadsheets.values.update({
+            spreadsheetId,
+            range,
+            valueInputOption: 'USER_ENTERED',
+            resource: { values: values.map(toSheetRow) }
+        });
+    }
+
+    // Write queued cells in a single batchUpdate
+    async function batchWrite(updates) {
+        await withRetry(async () => {
+            await sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId,
+                resource: {
+                    valueInputOption: 'USER_ENTERED',
+                    data: updates.map(({ rowIndex, field, value }) => ({
+                        range: `${columnLetter(columnIndexOf(field))}${rowIndex}`,
+                        values: [[toSheetValue(value)]]
+                    }))
+                }
+            });
+        });
+    }
+
+    const writeQueue = writeBatchMs > 0 ? createWriteQueue({ intervalMs: writeBatchMs, flush: batchWrite }) : null;
+
+    // Apply cells still waiting in the write queue to a row read from the sheet
+    function withPendingWrites(row, rowIndex) {
+        if (!writeQueue) {
+            return row;
+        }
+        const pendingFields = Object.entries(writeQueue.pendingFor(rowIndex));
+        if (pendingFields.length === 0) {
+            return row;
+        }
+        const merged = [...row];
+        pendingFields.forEach(([field, value]) => {
+            merged[columnIndexOf(field)] = value;
+        });
+        return merged;
+    }
+
+    // Search for existing user by any column (case-insensitive)
+    async function findUserByField(field, value) {
+        return await withRetry(async () => {
+            try {
+                const rows = await getValues(`A:${LAST_COLUMN}`);
+                if (rows.length <= 1) {
+                    return []; // No data rows (only header or no data)
+                }
+
+                // Find matching value (skip header row)
+                const fieldIndex = columnIndexOf(field);
+                for (let i = 1; i < rows.length; i++) {
+                    const row = withPendingWrites(rows[i], i + 1);
+                    if (row[fieldIndex] && row[fieldIndex].toLowerCase() === value.toLowerCase()) {
+                        return [rowToRecord(row, i + 1)]; // 1-based for Sheets API
+                    }
+                }
+
+                return []; // No match found
+            } catch (error) {
+                console.error('Error searching for user:', error);
+                throw error;
+            }
+        });
+    }
+
+    // Search for existing user by email
+    async function findUserByEmail(email) {
+        return await findUserByField('email', email);
+    }
+
+    // Search for existing user by stable attendee id
+    async function findUserById(attendeeId) {
+        return await findUserByField('attendeeId', attendeeId);
+    }
+
+    // Every attendee row (skips the header)
+    async function listUsers() {
+        return await withRetry(async () => {
+            const rows = await getValues(`A:${LAST_COLUMN}`);
+            return rows.slice(1).map((row, i) => rowToRecord(withPendingWrites(row, i + 2), i + 2));
+        });
+    }
+
+    // Create new user record
+    async function createUserRecord(fields) {
+        return await withRetry(async () => {
+            try {
+                const row = fieldsToRow(newAttendeeFields(fields));
+
+                const response = await sheets.spreadsheets.values.append({
+                    spreadsheetId,
+                    range: `A:${LAST_COLUMN}`,
+                    valueInputOption: 'USER_ENTERED',
+                    resource: { values: [toSheetRow(row)] }
+                });
+
+                // Take the row from where Sheets actually put it; counting rows first races with other appends
+                return rowToRecord(row, rowIndexFromRange(response.data.updates.updatedRange));
+            } catch (error) {
+                console.error('Error creating user record:', error);
+                throw error;
+            }
+        });
+    }
+
+    // Create many user records with a single append (bulk imports)
+    async function createUserRecords(fieldsList) {
+        if (fieldsList.length === 0) {
+            return [];
+        }
+        return await withRetry(async () => {
+            const rows = fieldsList.map(fields => fieldsToRow(newAttendeeFields(fields)));
+
+            const response = await sheets.spreadsheets.values.append({
+                spreadsheetId,
+                range: `A:${LAST_COLUMN}`,
+                valueInputOption: 'USER_ENTERED',
+                resource: { values: rows.map(toSheetRow) }
+            });
+
+            const firstRowIndex = rowIndexFromRange(response.data.updates.updatedRange);
+            return rows.map((row, i) => rowToRecord(row, firstRowIndex + i));
+        });
+    }
+
+    // Update existing user record (Google Sheets doesn't have record IDs, so we use row index)
+    async function updateUserRecord(rowIndex, fields) {
+        return await withRetry(async () => {
+            try {
+                // The full row supersedes any queued cells for it
+                if (writeQueue) {
+                    await writeQueue.idle();
+                    writeQueue.dropRow(rowIndex);
+                }
+                await setValues(`A${rowIndex}:${LAST_COLUMN}${rowIndex}`, [fieldsToRow(fields)]);
+
+                return {
+                    rowIndex: rowIndex,
+                    firstName: fields.firstname || '',
+                    lastName: fields.lastname || '',
+                    email: fields.email || ''
+                };
+            } catch (error) {
+                console.error('Error updating user record:', error);
+                throw error;
+            }
+        });
+    }
+
+    // Get user email by row index
+    async function getUserEmailByRowIndex(rowIndex) {
+        try {
+            return (await readField(rowIndex, 'email')) || null;
+        } catch (error) {
+            console.error('Error getting user email by row index:', error);
+            return null;
+        }
+    }
+
+    // Read one attendee row -> record or null if the row is empty
+    async function readRecord(rowIndex) {
+        return await withRetry(async () => {
+            const rows = await getValues(`A${rowIndex}:${LAST_COLUMN}${rowIndex}`);
+            return rows[0] && rows[0].length > 0 ? rowToRecord(withPendingWrites(rows[0], rowIndex), rowIndex) : null;
+        });
+    }
+
+    // Read a single attendee cell
+    async function readField(rowIndex, field) {
+        if (writeQueue) {
+            const pendingFields = writeQueue.pendingFor(rowIndex);
+            if (field in pendingFields) {
+                return pendingFields[field];
+            }
+        }
+        const rows = await getValues(`${columnLetter(columnIndexOf(field))}${rowIndex}`);
+        return rows[0]?.[0] || '';
+    }
+
+    // Write a single attendee cell (queued when batching is on)
+    async function writeField(rowIndex, field, value) {
+        if (writeQueue) {
+            writeQueue.enqueue(rowIndex, field, value);
+            return;
+        }
+        await setValues(`${columnLetter(columnIndexOf(field))}${rowIndex}`, [[value]]);
+    }
+
+    return {
+        name: 'sheets',
+        findUserByField,
+        findUserByEmail,
+        findUserById,
+        listUsers,
+        createUserRecord,
+        createUserRecords,
+        updateUserRecord,
+        getUserEmailByRowIndex,
+        readRecord,
+        readField,
+        writeField,
+        // Persist queued cells now (e.g. before shutdown)
+        flushWrites: async () => (writeQueue ? writeQueue.flushNow() : undefined),
+        getWriteQueueStats: () => (writeQueue ? writeQueue.getStats() : null)
+    };
+}
+
+module.exports = { createGoogleSheetsStorage, createSheetsClient, withRetry, toSheetValue };
@@ -0,0 +1,96 @@
+const path = require('path');
+const { DATA_DIR } = require('../data-files');
+const { createGoogleSheetsStorage } = require('./google-sheets');
+const { createJsonFileStorage } = require('./json-file');
+const { createMemoryStorage } = require('./memory');
+const { createRowCache } = require('./row-cache');
+
+// Every backend exposes the same async interface:
+//   findUserByField(field, value)     -> [record] or [] (case-insensitive match)
+//   findUserByEmail(email)            -> [record] or []
+//   findUserById(attendeeId)          -> [record] or []
+//   listUsers()                       -> [record] in row order
+//   createUserRecord(fields)          -> record
+//   createUserRecords([fields])       -> [record] (one write for the whole list)
+//   updateUserRecord(rowIndex, fields) -> { rowIndex, firstName, lastName, email }
+//   getUserEmailByRowIndex(rowIndex)  -> email or null
+//   readRecord(rowIndex)              -> record or null
+//   readField(rowIndex, field)        -> cell value
+//   writeField(rowIndex, field, value)
+// Records use the field names from ./columns; `fields` use the request names (firstname, lastname, ...).
+// The sheets backend is wrapped in a row cache (see ./row-cache), which adds getCacheStats(),
+// and can queue cell writes (see ./write-queue), which adds flushWrites() and getWriteQueueStats().
+
+const STORAGE_BACKENDS = ['sheets', 'file', 'memory'];
+
+const DEFAULT_CACHE_TTL_SECONDS = 30;
+// Serverless instances can be frozen right after a response, so write-behind is off on Vercel
+const DEFAULT_WRITE_BATCH_MS = 250;
+
+const REQUIRED_SHEETS_ENV_VARS = [
+    'GOOGLE_SHEETS_ID',
+    'GOOGLE_PROJECT_ID',
+    'GOOGLE_PRIVATE_KEY',
+    'GOOGLE_CLIENT_EMAIL'
+];
+
+// Pick a backend from STORAGE_BACKEND (defaults to Google Sheets)
+function createStorage(env = process.env) {
+    const backend = (env.STORAGE_BACKEND || 'sheets').toLowerCase();
+
+    switch (backend) {
+        case 'sheets':
+            return withRowCache(createGoogleSheetsStorage({
+                spreadsheetId: env.GOOGLE_SHEETS_ID,
+                credentials: {
+                    projectId: env.GOOGLE_PROJECT_ID,
+                    privateKey: env.GOOGLE_PRIVATE_KEY,
+                    clientEmail: env.GOOGLE_CLIENT_EMAIL,
+                    clientId: env.GOOGLE_CLIENT_ID
+                },
+                writeBatchMs: writeBatchMsFor(env)
+            }), env);
+        case 'file':
+            return createJsonFileStorage({
+                filePath: env.STORAGE_FILE || path.join(DATA_DIR, 'attendees.json')
+            });
+        case 'memory':
+            return createMemoryStorage();
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+    }
+}
+
+// Batch key writes every SHEETS_WRITE_BATCH_MS (0 writes each cell straight away)
+function writeBatchMsFor(env) {
+    const value = env.SHEETS_WRITE_BATCH_MS || (env.VERCEL ? 0 : DEFAULT_WRITE_BATCH_MS);
+    const writeBatchMs = Number(value);
+    if (isNaN(writeBatchMs) || writeBatchMs < 0) {
+        throw new Error(`Invalid SHEETS_WRITE_BATCH_MS "${value}" - expected a number of milliseconds`);
+    }
+    return writeBatchMs;
+}
+
+// Cache email -> row lookups for ATTENDEE_CACHE_TTL_SECONDS (0 turns the cache off)
+function withRowCache(storage, env) {
+    const ttlSeconds = Number(env.ATTENDEE_CACHE_TTL_SECONDS || DEFAULT_CACHE_TTL_SECONDS);
+    if (isNaN(ttlSeconds) || ttlSeconds < 0) {
+        throw new Error(`Invalid ATTENDEE_CACHE_TTL_SECONDS "${env.ATTENDEE_CACHE_TTL_SECONDS}" - expected a number of seconds`);
+    }
+    return ttlSeconds > 0 ? createRowCache(storage, { ttlMs: ttlSeconds * 1000 }) : storage;
+}
+
+// Env vars the chosen backend cannot start without
+function requiredEnvVarsFor(env = process.env) {
+    return (env.STORAGE_BACKEND || 'sheets').toLowerCase() === 'sheets' ? REQUIRED_SHEETS_ENV_VARS : [];
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    createStorage,
+    requiredEnvVarsFor,
+    createGoogleSheetsStorage,
+    createJsonFileStorage,
+    createMemoryStorage,
+    createRowCache
+};
@@ -0,0 +1,20 @@
+const { readJsonFile, writeJsonFileAtomic } = require('../data-files');
+const { createMemoryStorage } = require('./memory');
+
+// Storage backend that keeps attendees in a local JSON file, for offline booths.
+// The file holds `{ "attendees": [ { firstName, lastName, email, ... } ] }` in row order.
+function createJsonFileStorage({ filePath }) {
+    const records = (readJsonFile(filePath) || {}).attendees || [];
+
+    function save(updatedRecords) {
+        const attendees = updatedRecords.map(({ rowIndex, ...fields }) => fields);
+        writeJsonFileAtomic(filePath, { attendees }, { pretty: true });
+    }
+
+    return {
+        ...createMemoryStorage({ records, onChange: save }),
+        name: 'file'
+    };
+}
+
+module.exports = { createJsonFileStorage };
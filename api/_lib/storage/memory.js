@@ -0,0 +1,115 @@
+const {
+    ATTENDEE_COLUMNS,
+    columnIndexOf,
+    rowToRecord,
+    fieldsToRow,
+    newAttendeeFields
+} = require('./columns');
+
+// Storage backend that keeps attendees in process memory.
+// Row numbering mirrors the sheet: row 1 is the header, so the first attendee is row 2.
+// `records` seeds the store; `onChange` is called with the full record list after every write.
+function createMemoryStorage({ records = [], onChange } = {}) {
+    const rows = records.map(record => ATTENDEE_COLUMNS.map(column => record[column.field] || column.defaultValue || ''));
+
+    function toRowIndex(arrayIndex) {
+        return arrayIndex + 2;
+    }
+
+    function getRow(rowIndex) {
+        const row = rows[rowIndex - 2];
+        if (!row) {
+            throw new Error(`Row ${rowIndex} does not exist`);
+        }
+        return row;
+    }
+
+    async function changed() {
+        if (onChange) {
+            await onChange(rows.map((row, index) => rowToRecord(row, toRowIndex(index))));
+        }
+    }
+
+    async function findUserByField(field, value) {
+        const fieldIndex = columnIndexOf(field);
+        const arrayIndex = rows.findIndex(row => row[fieldIndex] && row[fieldIndex].toLowerCase() === value.toLowerCase());
+        return arrayIndex === -1 ? [] : [rowToRecord(rows[arrayIndex], toRowIndex(arrayIndex))];
+    }
+
+    async function findUserByEmail(email) {
+        return await findUserByField('email', email);
+    }
+
+    async function listUsers() {
+        return rows.map((row, index) => rowToRecord(row, toRowIndex(index)));
+    }
+
+    async function findUserById(attendeeId) {
+        return await findUserByField('attendeeId', attendeeId);
+    }
+
+    async function createUserRecord(fields) {
+        const row = fieldsToRow(newAttendeeFields(fields));
+        rows.push(row);
+        await changed();
+        return rowToRecord(row, toRowIndex(rows.length - 1));
+    }
+
+    async function createUserRecords(fieldsList) {
+        const created = fieldsList.map(fields => {
+            const row = fieldsToRow(newAttendeeFields(fields));
+            rows.push(row);
+            return rowToRecord(row, toRowIndex(rows.length - 1));
+        });
+        await changed();
+        return created;
+    }
+
+    async function updateUserRecord(rowIndex, fields) {
+        const row = getRow(rowIndex);
+        row.splice(0, row.length, ...fieldsToRow(fields));
+        await changed();
+        return {
+            rowIndex: rowIndex,
+            firstName: fields.firstname || '',
+            lastName: fields.lastname || '',
+            email: fields.email || ''
+        };
+    }
+
+    async function getUserEmailByRowIndex(rowIndex) {
+        const row = rows[rowIndex - 2];
+        return row ? rowToRecord(row, rowIndex).email || null : null;
+    }
+
+    async function readRecord(rowIndex) {
+        const row = rows[rowIndex - 2];
+        return row ? rowToRecord(row, rowIndex) : null;
+    }
+
+    async function readField(rowIndex, field) {
+        return rowToRecord(getRow(rowIndex), rowIndex)[field];
+    }
+
+    async function writeField(rowIndex, field, value) {
+        getRow(rowIndex)[columnIndexOf(field)] = value;
+        await changed();
+    }
+
+    return {
+        name: 'memory',
+        findUserByField,
+        findUserByEmail,
+        findUserById,
+        listUsers,
+        createUserRecord,
+        createUserRecords,
+        updateUserRecord,
+        getUserEmailByRowIndex,
+        readRecord,
+        readField,
+        writeField
+    };
+}
+
+module.exports = { createMemoryStorage };
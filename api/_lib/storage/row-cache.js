@@ -0,0 +1,162 @@
+// Read-through cache of email -> row and attendee id -> row in front of a storage backend.
+// A cache hit reads just that one row instead of scanning the whole sheet, and the row's
+// email (or id) is checked before it is trusted, so rows moved by hand in the sheet fall back to a scan.
+// Writes through this wrapper keep the cache in step; entries expire after `ttlMs` anyway
+// so other server instances' changes are picked up quickly.
+const CACHED_FIELDS = ['email', 'attendeeId'];
+
+function createRowCache(storage, { ttlMs, now = Date.now }) {
+    if (!storage.readRecord) {
+        throw new Error(`Storage backend "${storage.name}" does not support readRecord`);
+    }
+
+    // field -> (normalized value -> { rowIndex, expiresAt })
+    const rowsByField = new Map(CACHED_FIELDS.map(field => [field, new Map()]));
+    // rowIndex -> { field: normalized value }
+    const valuesByRow = new Map();
+    const stats = { hits: 0, misses: 0, stale: 0 };
+
+    function normalize(value) {
+        return String(value || '').trim().toLowerCase();
+    }
+
+    function remember(record) {
+        forgetRow(record.rowIndex);
+        const values = {};
+        CACHED_FIELDS.forEach(field => {
+            const value = normalize(record[field]);
+            if (value) {
+                rowsByField.get(field).set(value, { rowIndex: record.rowIndex, expiresAt: now() + ttlMs });
+                values[field] = value;
+            }
+        });
+        valuesByRow.set(record.rowIndex, values);
+    }
+
+    function forgetRow(rowIndex) {
+        const values = valuesByRow.get(rowIndex);
+        if (!values) {
+            return;
+        }
+        Object.entries(values).forEach(([field, value]) => rowsByField.get(field).delete(value));
+        valuesByRow.delete(rowIndex);
+    }
+
+    function cachedRow(field, value) {
+        const entry = rowsByField.get(field).get(value);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= now()) {
+            forgetRow(entry.rowIndex);
+            return null;
+        }
+        return entry.rowIndex;
+    }
+
+    // Cached lookup by email or attendee id, falling back to the backend's full scan
+    async function findCached(field, value, scan) {
+        const normalized = normalize(value);
+        const rowIndex = cachedRow(field, normalized);
+
+        if (rowIndex) {
+            const record = await storage.readRecord(rowIndex);
+            if (record && normalize(record[field]) === normalized) {
+                stats.hits++;
+                remember(record);
+                return [record];
+            }
+            // The row no longer holds this attendee
+            stats.stale++;
+            forgetRow(rowIndex);
+        }
+
+        stats.misses++;
+        const users = await scan(value);
+        if (users.length > 0) {
+            remember(users[0]);
+        }
+        return users;
+    }
+
+    async function findUserByEmail(email) {
+        return await findCached('email', email, storage.findUserByEmail);
+    }
+
+    async function findUserById(attendeeId) {
+        return await findCached('attendeeId', attendeeId, storage.findUserById);
+    }
+
+    async function findUserByField(field, value) {
+        if (field === 'email') {
+            return await findUserByEmail(value);
+        }
+        if (field === 'attendeeId') {
+            return await findUserById(value);
+        }
+        const users = await storage.findUserByField(field, value);
+        users.forEach(remember);
+        return users;
+    }
+
+    async function createUserRecord(fields) {
+        const record = await storage.createUserRecord(fields);
+        remember(record);
+        return record;
+    }
+
+    async function createUserRecords(fieldsList) {
+        const records = await storage.createUserRecords(fieldsList);
+        records.forEach(remember);
+        return records;
+    }
+
+    async function updateUserRecord(rowIndex, fields) {
+        const updated = await storage.updateUserRecord(rowIndex, fields);
+        remember({ ...updated, attendeeId: fields.attendeeId });
+        return updated;
+    }
+
+    async function getUserEmailByRowIndex(rowIndex) {
+        const email = valuesByRow.get(rowIndex)?.email;
+        if (email && cachedRow('email', email) === rowIndex) {
+            stats.hits++;
+            return email;
+        }
+
+        stats.misses++;
+        return await storage.getUserEmailByRowIndex(rowIndex);
+    }
+
+    async function writeField(rowIndex, field, value) {
+        await storage.writeField(rowIndex, field, value);
+        if (CACHED_FIELDS.includes(field)) {
+            forgetRow(rowIndex);
+        }
+    }
+
+    function getCacheStats() {
+        const lookups = stats.hits + stats.misses;
+        return {
+            ...stats,
+            size: valuesByRow.size,
+            hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) / 100 : 0,
+            ttlMs
+        };
+    }
+
+    return {
+        ...storage,
+        findUserByField,
+        findUserByEmail,
+        findUserById,
+        createUserRecord,
+        createUserRecords,
+        updateUserRecord,
+        getUserEmailByRowIndex,
+        writeField,
+        getCacheStats
+    };
+}
+
+module.exports = { createRowCache };
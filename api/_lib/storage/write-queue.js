@@ -0,0 +1,156 @@
+// Write-behind queue for single-cell attendee updates.
+// Writes are acknowledged as soon as they are queued; every `intervalMs` the pending cells are
+// handed to `flush(updates)` in one call. Several writes to the same cell coalesce to the newest value.
+// Cells stay readable through pendingFor() until their flush has resolved.
+// If a flush fails the cells go back on the queue (unless a newer value arrived meanwhile).
+// Rate limits are retried for as long as the process runs; any other error drops a cell after
+// `maxAttempts` failed flushes, logging it and counting it in getStats().droppedCells.
+function createWriteQueue({ intervalMs, flush, maxBatchSize = 500, maxAttempts = 5 }) {
+    if (!(intervalMs > 0)) {
+        throw new Error('Write queue needs a positive intervalMs');
+    }
+
+    const pending = new Map(); // 'row:field' -> { rowIndex, field, value, attempts }
+    const inFlight = new Map(); // same, for the batch being written right now
+    const stats = { queued: 0, flushed: 0, batches: 0, failedBatches: 0, droppedCells: 0, lastFlushAt: null, lastError: null };
+    let flushing = null;
+    let timer = null;
+
+    function cellKey(rowIndex, field) {
+        return `${rowIndex}:${field}`;
+    }
+
+    function schedule() {
+        if (!timer) {
+            timer = setTimeout(() => {
+                timer = null;
+                flushNow().catch(error => console.error('Write queue flush failed:', error));
+            }, intervalMs);
+        }
+    }
+
+    function enqueue(rowIndex, field, value) {
+        pending.set(cellKey(rowIndex, field), { rowIndex, field, value, attempts: 0 });
+        stats.queued++;
+        schedule();
+    }
+
+    // Values not yet confirmed by Sheets for one row -> { field: value } (queued values beat in-flight ones)
+    function pendingFor(rowIndex) {
+        const fields = {};
+        [inFlight, pending].forEach(updates => {
+            for (const update of updates.values()) {
+                if (update.rowIndex === rowIndex) {
+                    fields[update.field] = update.value;
+                }
+            }
+        });
+        return fields;
+    }
+
+    // Forget queued cells for a row that is about to be overwritten as a whole
+    // (call after idle(), so no older batch for the row can land after the overwrite)
+    function dropRow(rowIndex) {
+        for (const [key, update] of pending) {
+            if (update.rowIndex === rowIndex) {
+                pending.delete(key);
+            }
+        }
+    }
+
+    function isRateLimit(error) {
+        return error.code === 429 || error.status === 429;
+    }
+
+    async function flushBatch() {
+        const batch = Array.from(pending.values()).slice(0, maxBatchSize);
+        batch.forEach(update => {
+            const key = cellKey(update.rowIndex, update.field);
+            pending.delete(key);
+            inFlight.set(key, update);
+        });
+
+        try {
+            await flush(batch);
+            stats.flushed += batch.length;
+            stats.batches++;
+            stats.lastFlushAt = new Date().toISOString();
+            stats.lastError = null;
+        } catch (error) {
+            stats.failedBatches++;
+            stats.lastError = error.message;
+            // Put the cells back, keeping any newer value queued while the flush was running
+            const dropped = [];
+            batch.forEach(update => {
+                const key = cellKey(update.rowIndex, update.field);
+                update.attempts++;
+                if (pending.has(key)) {
+                    return;
+                }
+                if (!isRateLimit(error) && update.attempts >= maxAttempts) {
+                    dropped.push(update);
+                    return;
+                }
+                pending.set(key, update);
+            });
+            if (dropped.length > 0) {
+                stats.droppedCells += dropped.length;
+                console.error(`❌ Write queue gave up on ${dropped.length} cell(s) after ${maxAttempts} failed flushes (${error.message}):`,
+                    dropped.map(update => `row ${update.rowIndex} ${update.field}=${update.value}`).join(', '));
+            }
+            throw error;
+        } finally {
+            batch.forEach(update => {
+                const key = cellKey(update.rowIndex, update.field);
+                if (inFlight.get(key) === update) {
+                    inFlight.delete(key);
+                }
+            });
+        }
+    }
+
+    // Write everything queued so far (one flush at a time)
+    async function flushNow() {
+        if (flushing) {
+            await flushing.catch(() => {});
+        }
+        flushing = (async () => {
+            try {
+                while (pending.size > 0) {
+                    await flushBatch();
+                }
+            } finally {
+                flushing = null;
+                if (pending.size > 0) {
+                    schedule();
+                }
+            }
+        })();
+        return flushing;
+    }
+
+    // Resolves once the batch being written (if any) has landed or failed
+    async function idle() {
+        if (flushing) {
+            await flushing.catch(() => {});
+        }
+    }
+
+    function getStats() {
+        return { depth: pending.size, inFlight: inFlight.size, intervalMs, ...stats };
+    }
+
+    return {
+        enqueue,
+        pendingFor,
+        dropRow,
+        flushNow,
+        idle,
+        getStats,
+        get depth() {
+            return pending.size;
+        }
+    };
+}
+
+module.exports = { createWriteQueue };
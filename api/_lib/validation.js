@@ -0,0 +1,123 @@
+// Request validation: each route declares the shape of the input it reads, and anything else
+// gets a structured 400 before the handler runs. Values are checked, never rewritten - handlers
+// and renderers still escape output for wherever it ends up (HTML, CSV, the sheet).
+//
+// A schema maps request parts ('body', 'params', 'query') to an object rule, e.g.
+//   validateRequest({ body: object({ email: email(), note: optional(text({ max: 500 })) }) })
+// Rules are functions (value, path) -> [{ field, message }]; an empty list means the value is valid.
+// Keys a schema does not mention are ignored.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+// Letters and marks from any script, joined by spaces, apostrophes, hyphens and dots (O'Brien, Nguyễn, Jean-Luc)
+const NAME_PATTERN = /^[\p{L}\p{M}]+(?:[ '’.\-]+[\p{L}\p{M}]+)*\.?$/u;
+const MAX_NAME_LENGTH = 100;
+// Attendee ids are UUIDs; hand-made ids may use letters, digits, '-' and '_'
+const ID_PATTERN = /^[\w-]{1,100}$/;
+
+function fail(path, message) {
+    return [{ field: path, message }];
+}
+
+function text({ max = 1000, pattern = null, message = 'has an invalid format', allowEmpty = true } = {}) {
+    return (value, path) => {
+        if (typeof value !== 'string') {
+            return fail(path, 'must be a string');
+        }
+        if (!allowEmpty && !value.trim()) {
+            return fail(path, 'must not be empty');
+        }
+        if (value.length > max) {
+            return fail(path, `must be at most ${max} characters`);
+        }
+        if (pattern && !pattern.test(value.trim())) {
+            return fail(path, message);
+        }
+        return [];
+    };
+}
+
+function email() {
+    return text({ max: MAX_EMAIL_LENGTH, pattern: EMAIL_PATTERN, message: 'must be a valid email address', allowEmpty: false });
+}
+
+function personName() {
+    return text({ max: MAX_NAME_LENGTH, pattern: NAME_PATTERN, message: 'may only contain letters, spaces, apostrophes, hyphens and dots', allowEmpty: false });
+}
+
+function id() {
+    return text({ max: 100, pattern: ID_PATTERN, message: 'is not a valid id', allowEmpty: false });
+}
+
+function oneOf(values) {
+    return (value, path) => (values.includes(value) ? [] : fail(path, `must be one of: ${values.join(', ')}`));
+}
+
+function boolean() {
+    return (value, path) => (typeof value === 'boolean' ? [] : fail(path, 'must be true or false'));
+}
+
+// Missing (undefined or null) is fine; anything else must pass `rule`
+function optional(rule) {
+    return (value, path) => (value === undefined || value === null ? [] : rule(value, path));
+}
+
+// Every key in `shape` is required unless wrapped in optional()
+function object(shape) {
+    return (value, path) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return fail(path, 'must be an object');
+        }
+        return Object.entries(shape).flatMap(([key, rule]) => {
+            const fieldPath = path ? `${path}.${key}` : key;
+            if (value[key] === undefined) {
+                return rule(undefined, fieldPath).length > 0 ? fail(fieldPath, 'is required') : [];
+            }
+            return rule(value[key], fieldPath);
+        });
+    };
+}
+
+// schema -> list of { field, message } for the request (empty when valid)
+function validate(schema, req) {
+    return Object.entries(schema).flatMap(([part, rule]) => rule(req[part] || {}, part));
+}
+
+// 'body.fields.email' -> req.body.fields.email (undefined when missing)
+function valueAt(req, field) {
+    return field.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), req);
+}
+
+// Express middleware that rejects requests not matching `schema` with a 400.
+// `onInvalid(req, errors)` runs first, e.g. to record the attempt.
+function validateRequest(schema, { onInvalid } = {}) {
+    return (req, res, next) => {
+        const errors = validate(schema, req);
+        if (errors.length > 0) {
+            if (onInvalid) {
+                onInvalid(req, errors);
+            }
+            return res.status(400).json({
+                success: false,
+                error: 'VALIDATION_FAILED',
+                message: errors.map(error => `${error.field} ${error.message}`).join('; '),
+                errors
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    text,
+    email,
+    personName,
+    id,
+    oneOf,
+    boolean,
+    optional,
+    object,
+    validate,
+    valueAt,
+    validateRequest
+};
@@ -0,0 +1,78 @@
+const { SELF_CHECK_IN, checkInFields } = require('./check-in');
+
+// Walk-in registration at the door for visitors who did not pre-register online.
+// WALK_IN_MODE: 'off' (pre-registered attendees only), 'open' (walk-ins join straight away)
+// or 'approval' (walk-ins wait until staff approve them). WALK_IN_DAILY_CAP limits walk-ins per event day.
+const WALK_IN_MODES = ['off', 'open', 'approval'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function createWalkInPolicy({ mode = 'off', dailyCap = 0, timeZone = 'Asia/Bangkok' } = {}) {
+    const walkInMode = String(mode || 'off').toLowerCase();
+    if (!WALK_IN_MODES.includes(walkInMode)) {
+        throw new Error(`Unknown WALK_IN_MODE "${mode}". Use one of: ${WALK_IN_MODES.join(', ')}`);
+    }
+    const cap = Number(dailyCap || 0);
+    if (isNaN(cap) || cap < 0) {
+        throw new Error(`Invalid WALK_IN_DAILY_CAP "${dailyCap}" - expected a number`);
+    }
+
+    // Event days follow the venue's time zone, not the server's
+    const dayFormat = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+    function dayKey(date) {
+        return dayFormat.format(date);
+    }
+
+    function countToday(users, now = new Date()) {
+        const today = dayKey(now);
+        return users.filter(user => user.source === 'walk-in' && user.registeredAt && dayKey(new Date(user.registeredAt)) === today).length;
+    }
+
+    function capReached(users, now = new Date()) {
+        return cap > 0 && countToday(users, now) >= cap;
+    }
+
+    // Submitted walk-in fields -> error message, or null if they can be registered
+    function validate(fields) {
+        if (!fields.firstname || !String(fields.firstname).trim()) {
+            return 'First name is required for walk-in registration';
+        }
+        if (!EMAIL_PATTERN.test(String(fields.email || ''))) {
+            return 'Please enter a valid email address';
+        }
+        if (fields.consent !== true) {
+            return 'You must accept the privacy policy to join';
+        }
+        return null;
+    }
+
+    // Submitted walk-in fields -> attendee fields for a new row
+    function newWalkInFields(fields, now = new Date()) {
+        const timestamp = now.toISOString();
+        return {
+            firstname: String(fields.firstname).trim(),
+            lastname: String(fields.lastname).trim(),
+            email: String(fields.email).trim(),
+            source: 'walk-in',
+            consentAt: timestamp,
+            marketingConsent: fields.marketingConsent === true ? 'TRUE' : 'FALSE',
+            registeredAt: timestamp,
+            approval: walkInMode === 'approval' ? 'pending' : '',
+            // Walk-ins waiting for approval are checked in when staff let them through
+            ...(walkInMode === 'approval' ? { checkin: '' } : checkInFields(SELF_CHECK_IN, now))
+        };
+    }
+
+    return {
+        mode: walkInMode,
+        enabled: walkInMode !== 'off',
+        requiresApproval: walkInMode === 'approval',
+        dailyCap: cap,
+        countToday,
+        capReached,
+        validate,
+        newWalkInFields
+    };
+}
+
+module.exports = { WALK_IN_MODES, createWalkInPolicy };
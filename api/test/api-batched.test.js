@@ -0,0 +1,175 @@
+// The API against the fake Sheets with the write queue on (the default 250 ms batches), holding
+// batches in flight to check reads still see those cells and double submits are still refused.
+// Run with: npm test (from api/)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { google } = require('googleapis');
+const KEY_CATALOG = require('../../key-catalog');
+const { HEADER_ROW, columnLetter, columnIndexOf, fieldsToRow } = require('../_lib/storage/columns');
+const { SCAN_LOG_HEADERS } = require('../_lib/scan-log/google-sheets');
+const { hashPassword } = require('../_lib/staff-auth');
+const { FIRST_SHEET, createFakeSheets } = require('./fake-sheets');
+
+const fakeSheets = createFakeSheets({
+    [FIRST_SHEET]: [
+        HEADER_ROW,
+        fieldsToRow({ firstname: 'Ann', lastname: 'Lee', email: 'ann@example.com' }),
+        fieldsToRow({ firstname: 'Bob', lastname: 'Ray', email: 'bob@example.com' })
+    ],
+    'Scan Log': [SCAN_LOG_HEADERS]
+});
+google.sheets = () => fakeSheets;
+
+delete process.env.SHEETS_WRITE_BATCH_MS;
+Object.assign(process.env, {
+    MISSION: 'ENABLE',
+    STORAGE_BACKEND: 'sheets',
+    GOOGLE_SHEETS_ID: 'test-sheet',
+    GOOGLE_PROJECT_ID: 'test-project',
+    GOOGLE_PRIVATE_KEY: 'test-key',
+    GOOGLE_CLIENT_EMAIL: 'test@example.com',
+    SESSION_STORE: 'memory',
+    SECURITY_EVENT_STORE: 'memory',
+    STAFF_ACCOUNTS: `desk:staff:${hashPassword('desk-password')}`,
+    STAFF_SESSION_SECRET: 'test-staff-secret',
+    ATTENDEE_TOKEN_SECRET: 'test-attendee-secret',
+    REDEEM_CODE_SECRET: 'test-redeem-secret'
+});
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+async function request(method, pathname, { body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + pathname, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+async function signIn(email, lastname) {
+    const { body } = await request('POST', '/api/harty/submit', { body: { fields: { email, lastname } } });
+    assert.strictEqual(body.success, true);
+    return { Authorization: `Bearer ${body.token}` };
+}
+
+async function staffSignIn() {
+    const { status, headers } = await request('POST', '/api/staff/login', { body: { username: 'desk', password: 'desk-password' } });
+    assert.strictEqual(status, 200);
+    return { Cookie: headers.get('set-cookie').split(';')[0] };
+}
+
+function scan(auth, keyId) {
+    return request('POST', '/api/harty/update-key', { body: { keyField: `${keyId} status`, status: 'scanned' }, headers: auth });
+}
+
+// The attendee's cell, read straight from the fake sheet, and its A1 address
+function sheetCell(email, field) {
+    const rows = fakeSheets.tabs[FIRST_SHEET];
+    const rowIndex = rows.findIndex(row => row[columnIndexOf('email')] === email) + 1;
+    return {
+        value: rows[rowIndex - 1][columnIndexOf(field)] || '',
+        range: `${columnLetter(columnIndexOf(field))}${rowIndex}`
+    };
+}
+
+async function waitFor(condition, what) {
+    const deadline = Date.now() + 2000;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${what}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// Resolves once a batchUpdate carrying the attendee's cell has been sent (and is being held)
+function waitForBatchWith(email, field) {
+    const { range } = sheetCell(email, field);
+    return waitFor(() => fakeSheets.calls.some(call => call.method === 'batchUpdate' && call.ranges.includes(range)), `a batch with ${range}`);
+}
+
+// Scans every redeem key, first scanning enough of the quest group that unlocks each one
+async function collectRedeemKeys(auth) {
+    for (const key of KEY_CATALOG.KEYS.filter(candidate => candidate.requiredForRedeem)) {
+        const group = KEY_CATALOG.getGroupUnlockingKey(key.id);
+        const questKeys = group ? KEY_CATALOG.getKeysInGroup(group.id).slice(0, group.unlockAfter) : [];
+        for (const questKey of questKeys) {
+            await scan(auth, questKey.id);
+        }
+        await scan(auth, key.id);
+    }
+}
+
+test('a scan whose batch is still being written counts as scanned', async () => {
+    const auth = await signIn('ann@example.com', 'Lee');
+    const release = fakeSheets.holdBatchUpdates();
+    try {
+        const first = await scan(auth, 'key1');
+        assert.strictEqual(first.body.status, 'scanned');
+        await waitForBatchWith('ann@example.com', 'registerKey');
+        assert.notStrictEqual(sheetCell('ann@example.com', 'registerKey').value, 'scanned');
+
+        const again = await scan(auth, 'key1');
+        assert.strictEqual(again.body.duplicate, true);
+        const lookup = await request('GET', '/api/harty/user/ann@example.com', { headers: auth });
+        assert.strictEqual(lookup.body.data.keyStatuses.key1, 'scanned');
+    } finally {
+        release();
+    }
+    await waitFor(() => sheetCell('ann@example.com', 'registerKey').value === 'scanned', 'the scan to reach the sheet');
+});
+
+test('asking twice for a redeem code mid-flush returns the same code', async () => {
+    const auth = await signIn('bob@example.com', 'Ray');
+    await collectRedeemKeys(auth);
+
+    const release = fakeSheets.holdBatchUpdates();
+    let first;
+    try {
+        first = await request('POST', '/api/harty/redeem-code', { headers: auth });
+        assert.strictEqual(first.body.existing, false);
+        await waitForBatchWith('bob@example.com', 'code');
+
+        const second = await request('POST', '/api/harty/redeem-code', { headers: auth });
+        assert.strictEqual(second.body.existing, true);
+        assert.strictEqual(second.body.redeemCode, first.body.redeemCode);
+    } finally {
+        release();
+    }
+    await waitFor(() => sheetCell('bob@example.com', 'code').value === first.body.redeemCode, 'the code to reach the sheet');
+});
+
+test('a prize claimed while the claim is being written cannot be claimed again', async () => {
+    const auth = await signIn('ann@example.com', 'Lee');
+    await collectRedeemKeys(auth);
+    const { body } = await request('POST', '/api/harty/redeem-code', { headers: auth });
+    const staff = await staffSignIn();
+
+    const release = fakeSheets.holdBatchUpdates();
+    try {
+        const claims = await Promise.all([1, 2].map(() => request('POST', '/api/redeem/claim', { body: { code: body.redeemCode }, headers: staff })));
+        assert.deepStrictEqual(claims.map(claim => claim.status).sort(), [200, 409]);
+        await waitForBatchWith('ann@example.com', 'claimedAt');
+
+        const late = await request('POST', '/api/redeem/claim', { body: { code: body.redeemCode }, headers: staff });
+        assert.strictEqual(late.status, 409);
+        assert.strictEqual(late.body.error, 'ALREADY_CLAIMED');
+    } finally {
+        release();
+    }
+    await waitFor(() => sheetCell('ann@example.com', 'claimedAt').value !== '', 'the claim to reach the sheet');
+});
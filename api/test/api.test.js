@@ -0,0 +1,325 @@
+// Boots the API against the in-memory Sheets stand-in in ./fake-sheets.js, so the routes run through
+// the real Sheets storage and scan log. Cells are written straight away here (SHEETS_WRITE_BATCH_MS=0);
+// api-batched.test.js covers the write queue. Run with: npm test (from api/)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { google } = require('googleapis');
+const KEY_CATALOG = require('../../key-catalog');
+const { HEADER_ROW, columnIndexOf, fieldsToRow } = require('../_lib/storage/columns');
+const { SCAN_LOG_HEADERS } = require('../_lib/scan-log/google-sheets');
+const { hashPassword } = require('../_lib/staff-auth');
+const { FIRST_SHEET, createFakeSheets } = require('./fake-sheets');
+
+const fakeSheets = createFakeSheets({
+    [FIRST_SHEET]: [
+        HEADER_ROW,
+        fieldsToRow({ firstname: 'Ann', lastname: 'Lee', email: 'ann@example.com' }),
+        fieldsToRow({ firstname: 'Bob', lastname: 'Ray', email: 'bob@example.com' }),
+        fieldsToRow({ firstname: 'Siobhán', lastname: "O'Brien", email: 'siobhan@example.com' })
+    ],
+    'Scan Log': [SCAN_LOG_HEADERS]
+});
+google.sheets = () => fakeSheets;
+
+Object.assign(process.env, {
+    MISSION: 'ENABLE',
+    STORAGE_BACKEND: 'sheets',
+    GOOGLE_SHEETS_ID: 'test-sheet',
+    GOOGLE_PROJECT_ID: 'test-project',
+    GOOGLE_PRIVATE_KEY: 'test-key',
+    GOOGLE_CLIENT_EMAIL: 'test@example.com',
+    SHEETS_WRITE_BATCH_MS: '0',
+    SESSION_STORE: 'memory',
+    SECURITY_EVENT_STORE: 'memory',
+    SECURITY_BLOCK_AFTER: '3',
+    TRUST_PROXY: '1',
+    STAFF_ACCOUNTS: `viewer:viewer:${hashPassword('viewer-password')}`,
+    STAFF_SESSION_SECRET: 'test-staff-secret',
+    ATTENDEE_TOKEN_SECRET: 'test-attendee-secret',
+    REDEEM_CODE_SECRET: 'test-redeem-secret'
+});
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+async function request(method, pathname, { body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + pathname, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : body && JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+async function signIn(email, lastname) {
+    const { body } = await request('POST', '/api/harty/submit', { body: { fields: { email, lastname } } });
+    assert.strictEqual(body.success, true);
+    return { Authorization: `Bearer ${body.token}` };
+}
+
+// The attendee's row as { field: value }, read straight from the fake sheet
+function sheetRow(email) {
+    const rows = fakeSheets.tabs[FIRST_SHEET];
+    const row = rows.find(candidate => candidate[columnIndexOf('email')] === email);
+    return Object.fromEntries(['checkin', 'attendeeId', 'redeemKey', 'code'].concat(KEY_CATALOG.KEYS.map(key => key.field))
+        .map(field => [field, row[columnIndexOf(field)] || '']));
+}
+
+function scanLogRows(attendeeId) {
+    return fakeSheets.tabs['Scan Log'].slice(1).filter(row => row[1] === attendeeId);
+}
+
+function scan(auth, keyId, status = 'scanned') {
+    return request('POST', '/api/harty/update-key', { body: { keyField: `${keyId} status`, status }, headers: auth });
+}
+
+// Scans a key, first scanning enough of the quest group that unlocks it
+async function collect(auth, keyId) {
+    const group = KEY_CATALOG.getGroupUnlockingKey(keyId);
+    if (group) {
+        for (const key of KEY_CATALOG.getKeysInGroup(group.id).slice(0, group.unlockAfter)) {
+            await scan(auth, key.id);
+        }
+    }
+    return scan(auth, keyId);
+}
+
+test('submit signs in a pre-registered attendee and checks them in on the sheet', async () => {
+    const { status, body } = await request('POST', '/api/harty/submit', { body: { fields: { email: 'ANN@example.com', lastname: 'lee' } } });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.existing, true);
+    assert.match(body.recordId, /^[0-9a-f-]{36}$/);
+    assert.deepStrictEqual(
+        { checkin: sheetRow('ann@example.com').checkin, attendeeId: sheetRow('ann@example.com').attendeeId },
+        { checkin: 'checked-in', attendeeId: body.recordId }
+    );
+});
+
+test('submit turns away unknown emails and mismatched names without touching the sheet', async () => {
+    const rowsBefore = fakeSheets.tabs[FIRST_SHEET].length;
+
+    const unknown = await request('POST', '/api/harty/submit', { body: { fields: { email: 'nobody@example.com', lastname: 'Nobody' } } });
+    assert.strictEqual(unknown.status, 403);
+    assert.strictEqual(unknown.body.error, 'USER_NOT_REGISTERED');
+
+    const wrongName = await request('POST', '/api/harty/submit', { body: { fields: { email: 'bob@example.com', lastname: 'Smith' } } });
+    assert.strictEqual(wrongName.status, 409);
+    assert.strictEqual(wrongName.body.error, 'EMAIL_ALREADY_USED');
+
+    assert.strictEqual(fakeSheets.tabs[FIRST_SHEET].length, rowsBefore);
+    assert.strictEqual(sheetRow('bob@example.com').checkin, '');
+});
+
+test('update-key writes the key column and appends to the scan log', async () => {
+    const auth = await signIn('bob@example.com', 'Ray');
+    const { attendeeId } = sheetRow('bob@example.com');
+
+    const { status, body } = await scan({ ...auth, 'User-Agent': 'test-phone' }, 'key1');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'scanned');
+    assert.strictEqual(sheetRow('bob@example.com').registerKey, 'scanned');
+    const [row] = scanLogRows(attendeeId);
+    assert.deepStrictEqual(row.slice(1), [attendeeId, 'bob@example.com', 'key1', 'scanned', 'ar', 'test-phone']);
+});
+
+test('duplicate scans are logged but leave the key column alone', async () => {
+    const auth = await signIn('bob@example.com', 'Ray');
+    const { attendeeId } = sheetRow('bob@example.com');
+    const callsBefore = fakeSheets.calls.length;
+
+    const { body } = await scan(auth, 'key1');
+
+    assert.strictEqual(body.status, 'already_scanned');
+    assert.strictEqual(body.duplicate, true);
+    assert.strictEqual(scanLogRows(attendeeId).length, 2);
+    assert.deepStrictEqual(fakeSheets.calls.slice(callsBefore).filter(call => call.method === 'update'), []);
+});
+
+test('a scan still counts when the scan log cannot be written', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const auth = await signIn('siobhan@example.com', "O'Brien");
+    const scanLogTab = fakeSheets.tabs['Scan Log'];
+    delete fakeSheets.tabs['Scan Log'];
+    t.after(() => {
+        fakeSheets.tabs['Scan Log'] = scanLogTab;
+    });
+
+    const { status, body } = await scan(auth, 'in1');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'scanned');
+    assert.strictEqual(sheetRow('siobhan@example.com').in1, 'scanned');
+});
+
+test('scanning every redeem key enables the redeem key', async () => {
+    const auth = await signIn('ann@example.com', 'Lee');
+    const redeemKeys = KEY_CATALOG.KEYS.filter(key => key.requiredForRedeem);
+
+    for (const key of redeemKeys.slice(0, -1)) {
+        await collect(auth, key.id);
+    }
+    assert.strictEqual(sheetRow('ann@example.com').redeemKey, 'FALSE');
+
+    await collect(auth, redeemKeys[redeemKeys.length - 1].id);
+    assert.strictEqual(sheetRow('ann@example.com').redeemKey, 'TRUE');
+});
+
+test('redeem codes are only issued once every redeem key is scanned, and only once', async () => {
+    const notYet = await request('POST', '/api/harty/redeem-code', { headers: await signIn('bob@example.com', 'Ray') });
+    assert.strictEqual(notYet.status, 403);
+    assert.strictEqual(notYet.body.error, 'REDEEM_NOT_ELIGIBLE');
+
+    const auth = await signIn('ann@example.com', 'Lee');
+    const first = await request('POST', '/api/harty/redeem-code', { headers: auth });
+    assert.strictEqual(first.body.success, true);
+    assert.strictEqual(first.body.existing, false);
+    assert.strictEqual(sheetRow('ann@example.com').code, first.body.redeemCode);
+
+    const second = await request('POST', '/api/harty/redeem-code', { headers: auth });
+    assert.deepStrictEqual(second.body, { success: true, redeemCode: first.body.redeemCode, redeemTier: { id: 'standard', label: 'Prize' }, existing: true });
+});
+
+test('user lookup returns the signed-in attendee\'s own progress only', async (t) => {
+    const auth = await signIn('ann@example.com', 'Lee');
+    const log = t.mock.method(console, 'log', () => {});
+
+    const own = await request('GET', '/api/harty/user/ann@example.com', { headers: auth });
+    assert.strictEqual(own.status, 200);
+    // The record's redeem code and magic-link nonce never reach the server log
+    const logged = log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.ok(!logged.includes(sheetRow('ann@example.com').code));
+    assert.doesNotMatch(logged, /magicLinkNonce/);
+    assert.strictEqual(own.body.data.email, 'ann@example.com');
+    assert.strictEqual(own.body.data.redeemKeyEnabled, true);
+    assert.deepStrictEqual(own.body.data.redeemTier, { id: 'standard', label: 'Prize' });
+    assert.strictEqual(own.body.data.keyStatuses.key1, 'scanned');
+
+    const other = await request('GET', '/api/harty/user/bob@example.com', { headers: auth });
+    assert.strictEqual(other.status, 403);
+
+    const signedOut = await request('GET', '/api/harty/user/ann@example.com');
+    assert.strictEqual(signedOut.status, 401);
+});
+
+test('names from any script sign in', async () => {
+    const { status, body } = await request('POST', '/api/harty/submit', { body: { fields: { email: 'siobhan@example.com', lastname: "O'Brien" } } });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+});
+
+test('a quest-unlocked key is only recorded once enough of its quest group is scanned, whatever the method', async () => {
+    const auth = await signIn('siobhan@example.com', "O'Brien");
+    const group = KEY_CATALOG.getGroupUnlockingKey('key3');
+    const groupKeys = KEY_CATALOG.getKeysInGroup(group.id);
+    const unlock = () => request('POST', '/api/harty/update-key', {
+        body: { keyField: 'key3 status', status: 'scanned', scanMethod: 'unlock' },
+        headers: auth
+    });
+
+    for (const key of groupKeys.slice(0, group.unlockAfter - 1)) {
+        await scan(auth, key.id);
+    }
+    const early = await unlock();
+    assert.strictEqual(early.status, 403);
+    assert.strictEqual(early.body.error, 'Key not unlocked');
+    assert.notStrictEqual(sheetRow('siobhan@example.com').afternoonSessionKey, 'scanned');
+
+    const otherMethod = await scan(auth, 'key3');
+    assert.strictEqual(otherMethod.status, 403);
+    assert.strictEqual(otherMethod.body.error, 'Key not unlocked');
+
+    await scan(auth, groupKeys[group.unlockAfter - 1].id);
+    const earned = await unlock();
+    assert.strictEqual(earned.status, 200);
+    assert.strictEqual(sheetRow('siobhan@example.com').afternoonSessionKey, 'scanned');
+});
+
+test('invalid input gets a structured 400 before any sheet call', async () => {
+    const auth = await signIn('bob@example.com', 'Ray');
+    const callsBefore = fakeSheets.calls.length;
+
+    const injected = await request('POST', '/api/harty/submit', { body: { fields: { email: "x' OR 1=1 --", lastname: 'Lee' } } });
+    assert.strictEqual(injected.status, 400);
+    assert.strictEqual(injected.body.error, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(injected.body.errors, [{ field: 'body.fields.email', message: 'must be a valid email address' }]);
+
+    const unknownKey = await scan(auth, 'key99');
+    assert.strictEqual(unknownKey.status, 400);
+    assert.strictEqual(unknownKey.body.errors[0].field, 'body.keyField');
+
+    const notJson = await request('POST', '/api/harty/submit', { body: '{"fields":' });
+    assert.strictEqual(notJson.status, 400);
+    assert.strictEqual(notJson.body.error, 'VALIDATION_FAILED');
+
+    assert.deepStrictEqual(fakeSheets.calls.slice(callsBefore), []);
+});
+
+test('rejected passwords, passes and sign-in tokens are not kept in the security event log', async () => {
+    const prober = { 'X-Forwarded-For': '203.0.113.20' };
+    const unparseable = await request('POST', '/api/staff/login/', { body: '{"username":"desk","password":"hunter2', headers: prober });
+    assert.strictEqual(unparseable.status, 400);
+    const tooLong = await request('POST', '/api/staff/login', { body: { username: 'desk', password: `hunter2${'x'.repeat(300)}` }, headers: prober });
+    assert.strictEqual(tooLong.status, 400);
+    const notText = await request('POST', '/api/auth/pass', { body: { pass: ['hunter2.pass'] }, headers: prober });
+    assert.strictEqual(notText.status, 400);
+
+    const login = await request('POST', '/api/staff/login', { body: { username: 'viewer', password: 'viewer-password' } });
+    const staff = { Cookie: login.headers.get('set-cookie').split(';')[0] };
+    const { body } = await request('GET', '/api/admin/security-events?ip=203.0.113.20', { headers: staff });
+
+    assert.deepStrictEqual(body.events.map(event => [event.field, event.value]), [
+        ['body.pass', '[redacted]'],
+        ['body.password', '[redacted]'],
+        ['body', '[redacted]']
+    ]);
+});
+
+test('only public pages and assets are served from the repo root, however the path is encoded', async () => {
+    const status = async pathname => (await fetch(baseUrl + pathname)).status;
+
+    assert.strictEqual(await status('/index.html'), 200);
+    assert.strictEqual(await status('/%6Bey-catalog.js'), 200);
+    assert.strictEqual(await status('/svg/key1.svg'), 200);
+    for (const pathname of [
+        '/%61pi/_lib/app.js',
+        '/%64ata/scans.json',
+        '/%6Eode_modules/express/package.json',
+        '/svg%2F..%2Fapi%2F_lib%2Fapp.js',
+        '/server.js',
+        '/package.json',
+        '/docs.md',
+        '/.env.example'
+    ]) {
+        assert.strictEqual(await status(pathname), 404, pathname);
+    }
+});
+
+test('repeated invalid requests block that IP only', async () => {
+    const attacker = { 'X-Forwarded-For': '203.0.113.7' };
+    for (let i = 0; i < 3; i++) {
+        const { status } = await request('POST', '/api/harty/submit', { body: { fields: { email: '<script>', lastname: 'x' } }, headers: attacker });
+        assert.strictEqual(status, 400);
+    }
+
+    const blocked = await request('POST', '/api/harty/submit', { body: { fields: { email: 'ann@example.com', lastname: 'Lee' } }, headers: attacker });
+    assert.strictEqual(blocked.status, 403);
+    assert.strictEqual(blocked.body.error, 'IP_BLOCKED');
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+
+    const neighbour = await request('POST', '/api/harty/submit', { body: { fields: { email: 'ann@example.com', lastname: 'Lee' } }, headers: { 'X-Forwarded-For': '203.0.113.8' } });
+    assert.strictEqual(neighbour.status, 200);
+});
@@ -0,0 +1,49 @@
+// Check-in passes, magic links and the emails that carry them.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createAttendeeTokens } = require('../_lib/attendee-tokens');
+const { buildConfirmationEmail, buildMagicLinkEmail } = require('../_lib/attendee-emails');
+
+const tokens = createAttendeeTokens({ secret: 'test-secret' });
+const user = { attendeeId: 'a1b2', email: 'Ann@Example.com', firstName: 'Ann', lastName: 'Lee' };
+
+function requestWithToken(token) {
+    return { headers: { authorization: `Bearer ${token}` } };
+}
+
+test('passes identify the attendee but are not sign-in tokens', () => {
+    const pass = tokens.issuePass(user);
+    assert.deepStrictEqual(tokens.readPass(pass), { attendeeId: 'a1b2', email: 'ann@example.com' });
+    assert.strictEqual(tokens.readAttendee(requestWithToken(pass)), null);
+
+    // ...and sign-in tokens are not passes
+    assert.strictEqual(tokens.readPass(tokens.issue(user)), null);
+    assert.strictEqual(tokens.readPass('forged.token'), null);
+});
+
+test('confirmation email links to restore.html with the pass and inlines the QR code', async () => {
+    const pass = tokens.issuePass(user);
+    const message = await buildConfirmationEmail({ user: { ...user, firstName: '<b>Ann</b>' }, pass, baseUrl: 'https://openhouse.example.com/' });
+
+    assert.strictEqual(message.to, 'Ann@Example.com');
+    assert.ok(message.text.includes(`https://openhouse.example.com/restore.html?pass=${encodeURIComponent(pass)}`));
+    assert.ok(message.html.includes('&lt;b&gt;Ann&lt;/b&gt;'));
+    assert.ok(message.html.includes('cid:checkin-pass'));
+
+    const [qr] = message.attachments;
+    assert.strictEqual(qr.cid, 'checkin-pass');
+    assert.deepStrictEqual([...qr.content.subarray(1, 4)], [...Buffer.from('PNG')]);
+});
+
+test('magic link tokens carry their nonce and only work as magic links', () => {
+    const token = tokens.issueMagicLink(user, 'nonce-1');
+    assert.deepStrictEqual(tokens.readMagicLink(token), { attendeeId: 'a1b2', email: 'ann@example.com', nonce: 'nonce-1' });
+    assert.strictEqual(tokens.readPass(token), null);
+    assert.strictEqual(tokens.readAttendee(requestWithToken(token)), null);
+    assert.strictEqual(tokens.readMagicLink(tokens.issuePass(user)), null);
+
+    const message = buildMagicLinkEmail({ user, token, baseUrl: 'https://openhouse.example.com', ttlMinutes: 15 });
+    assert.ok(message.text.includes(`https://openhouse.example.com/restore.html?magic=${encodeURIComponent(token)}`));
+    assert.ok(message.text.includes('expires in 15 minutes'));
+});
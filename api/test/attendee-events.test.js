@@ -0,0 +1,57 @@
+// Per-attendee Server-Sent Event streams.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { createAttendeeEvents } = require('../_lib/attendee-events');
+
+function fakeStream() {
+    const req = new EventEmitter();
+    const res = {
+        status: null,
+        headers: null,
+        body: '',
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        write(chunk) {
+            this.body += chunk;
+        }
+    };
+    return { req, res };
+}
+
+test('events reach every open stream of the attendee and nobody else', () => {
+    const events = createAttendeeEvents();
+    const phone = fakeStream();
+    const laptop = fakeStream();
+    const someoneElse = fakeStream();
+    assert.ok(events.open('att-1', phone.req, phone.res));
+    assert.ok(events.open('att-1', laptop.req, laptop.res));
+    assert.ok(events.open('att-2', someoneElse.req, someoneElse.res));
+    assert.strictEqual(phone.res.headers['Content-Type'], 'text/event-stream');
+
+    assert.strictEqual(events.publish('att-1', 'progress', { key1: 'scanned' }), 2);
+    assert.ok(phone.res.body.endsWith('event: progress\ndata: {"key1":"scanned"}\n\n'));
+    assert.ok(laptop.res.body.includes('event: progress'));
+    assert.ok(!someoneElse.res.body.includes('event: progress'));
+
+    phone.req.emit('close');
+    laptop.req.emit('close');
+    someoneElse.req.emit('close');
+    assert.strictEqual(events.publish('att-1', 'progress', {}), 0);
+    assert.deepStrictEqual(events.getStats(), { attendees: 0, streams: 0 });
+});
+
+test('attendees cannot hold more than the allowed number of streams', () => {
+    const events = createAttendeeEvents({ maxStreamsPerAttendee: 1 });
+    const first = fakeStream();
+    assert.ok(events.open('att-1', first.req, first.res));
+    assert.strictEqual(events.open('att-1', fakeStream().req, fakeStream().res), false);
+
+    first.req.emit('close');
+    const second = fakeStream();
+    assert.ok(events.open('att-1', second.req, second.res));
+    second.req.emit('close');
+});
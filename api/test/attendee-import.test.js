@@ -0,0 +1,73 @@
+// Registrant import parsing, column mapping, validation and report rows.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    parseCsv,
+    toCsv,
+    parseMappingOption,
+    prepareRegistrants,
+    exportRecord,
+    exportHeaders
+} = require('../_lib/attendee-import');
+
+test('CSV parsing handles quotes, CRLF, a BOM and blank lines', () => {
+    const rows = parseCsv('\uFEFFName,Note\r\n"Lee, Ann","said ""hi"""\r\n\r\nBob,\n');
+    assert.deepStrictEqual(rows, [['Name', 'Note'], ['Lee, Ann', 'said "hi"'], ['Bob', '']]);
+});
+
+test('CSV output quotes separators and defuses formulas', () => {
+    assert.strictEqual(toCsv([['a,b', '=SUM(A1)', 'plain']]), '"a,b",\'=SUM(A1),plain\r\n');
+});
+
+test('form headers are matched by name, alias or explicit mapping', () => {
+    const rows = [
+        ['Given Name', 'Surname', 'Contact', 'Notes'],
+        ['Ann', 'Lee', 'Ann@Example.com', 'vip']
+    ];
+    const { registrants } = prepareRegistrants(rows, parseMappingOption('Contact=email'));
+    assert.deepStrictEqual(registrants[0].fields, { firstname: 'Ann', lastname: 'Lee', email: 'ann@example.com' });
+
+    assert.throws(() => prepareRegistrants(rows), /No email column/);
+    assert.throws(() => prepareRegistrants(rows, { Contact: 'phone' }), /cannot be imported/);
+});
+
+test('server-owned columns in the file are ignored and cannot be mapped', () => {
+    const rows = [
+        ['Email', 'Last Name', 'CODE', 'Attendee ID', 'Magic Link', 'Approval', 'Check-in', 'KEY1'],
+        ['ann@example.com', 'Lee', 'FREE-PRIZE', 'chosen-id', 'nonce', 'approved', 'checked-in', 'scanned']
+    ];
+    const { registrants } = prepareRegistrants(rows);
+    assert.deepStrictEqual(registrants[0].fields, { email: 'ann@example.com', lastname: 'Lee' });
+
+    assert.throws(() => prepareRegistrants(rows, { CODE: 'code' }), /cannot be imported/);
+    assert.throws(() => prepareRegistrants(rows, { 'Check-in': 'checkin' }), /cannot be imported/);
+});
+
+test('invalid rows and repeated emails are reported with their line numbers', () => {
+    const { registrants, invalid, duplicates } = prepareRegistrants([
+        ['First Name', 'Last Name', 'Email'],
+        ['Ann', 'Lee', 'ann@example.com'],
+        ['Bad', 'Row', 'not-an-email'],
+        ['Ann', 'Lee', 'ANN@example.com'],
+        ['No', '', 'no@example.com']
+    ]);
+
+    assert.deepStrictEqual(registrants.map(registrant => registrant.line), [2]);
+    assert.deepStrictEqual(invalid.map(entry => [entry.line, entry.reason]), [[3, 'invalid email address'], [5, 'missing last name']]);
+    assert.deepStrictEqual(duplicates.map(entry => [entry.line, entry.email]), [[4, 'ann@example.com']]);
+});
+
+test('report rows include key progress per group', () => {
+    const row = exportRecord({ email: 'ann@example.com', in1: 'scanned', in2: 'scanned', wd1: 'scanned' });
+    assert.strictEqual(row.email, 'ann@example.com');
+    assert.strictEqual(row.innovationPercentage, 50);
+    assert.strictEqual(row.wonderPercentage, 17);
+});
+
+test('report rows leave out attendee ids, redeem codes and magic link nonces', () => {
+    const row = exportRecord({ email: 'ann@example.com', attendeeId: 'id-1', code: 'ABC123', magicLinkNonce: 'nonce', checkin: 'checked-in' });
+    assert.strictEqual(row.checkin, 'checked-in');
+    assert.deepStrictEqual(['attendeeId', 'code', 'magicLinkNonce'].filter(field => field in row), []);
+    assert.strictEqual(Object.keys(row).length, exportHeaders().length);
+});
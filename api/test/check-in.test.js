@@ -0,0 +1,33 @@
+// Check-in fields and reading passes scanned at the kiosk.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkInFields, undoCheckInFields, needsSelfCheckIn, passFromScan } = require('../_lib/check-in');
+
+test('check-ins record who and when; undo marks column D and clears the rest', () => {
+    const now = new Date('2025-09-20T02:00:00Z');
+    assert.deepStrictEqual(checkInFields('desk', now), {
+        checkin: 'checked-in',
+        checkedInAt: '2025-09-20T02:00:00.000Z',
+        checkedInBy: 'desk'
+    });
+    assert.deepStrictEqual(undoCheckInFields(), { checkin: 'undone', checkedInAt: '', checkedInBy: '' });
+});
+
+test('sign-in checks in attendees who are not checked in, unless staff undid it', () => {
+    assert.strictEqual(needsSelfCheckIn({ checkin: '' }), true);
+    assert.strictEqual(needsSelfCheckIn({}), true);
+    assert.strictEqual(needsSelfCheckIn({ checkin: 'scanned' }), true);
+    assert.strictEqual(needsSelfCheckIn({ checkin: 'registered' }), true);
+    assert.strictEqual(needsSelfCheckIn(checkInFields('desk')), false);
+    assert.strictEqual(needsSelfCheckIn(undoCheckInFields()), false);
+});
+
+test('passes are read from scanned restore links or bare tokens', () => {
+    assert.strictEqual(passFromScan('https://openhouse.example.com/restore.html?pass=abc.def%2D1'), 'abc.def-1');
+    assert.strictEqual(passFromScan('restore.html?x=1&pass=abc.def#top'), 'abc.def');
+    assert.strictEqual(passFromScan('  abc_1.def-2  '), 'abc_1.def-2');
+    assert.strictEqual(passFromScan('https://example.com/'), null);
+    assert.strictEqual(passFromScan('restore.html?pass=%E0%A4%A'), null);
+    assert.strictEqual(passFromScan(undefined), null);
+});
@@ -0,0 +1,189 @@
+// Fires concurrent requests at the attendee endpoints to check scans, sign-ins and redeem codes
+// are recorded once. Run with: npm test (from api/)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KEY_CATALOG = require('../../key-catalog');
+const { hashPassword } = require('../_lib/staff-auth');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhouse-concurrency-'));
+const attendeesFile = path.join(dataDir, 'attendees.json');
+fs.writeFileSync(attendeesFile, JSON.stringify({
+    attendees: [
+        { firstName: 'Ann', lastName: 'Lee', email: 'ann@example.com' },
+        { firstName: 'Bob', lastName: 'Ray', email: 'bob@example.com' },
+        { firstName: 'Cat', lastName: 'Kim', email: 'cat@example.com' },
+        { firstName: 'Dan', lastName: 'Poe', email: 'dan@example.com' }
+    ]
+}));
+
+Object.assign(process.env, {
+    MISSION: 'ENABLE',
+    STORAGE_BACKEND: 'file',
+    STORAGE_FILE: attendeesFile,
+    SCAN_LOG_FILE: path.join(dataDir, 'scans.json'),
+    SESSION_STORE: 'memory',
+    SECURITY_EVENT_STORE: 'memory',
+    WALK_IN_MODE: 'approval',
+    STAFF_ACCOUNTS: `desk:staff:${hashPassword('desk-password')}`,
+    STAFF_SESSION_SECRET: 'test-staff-secret',
+    ATTENDEE_TOKEN_SECRET: 'test-attendee-secret',
+    REDEEM_CODE_SECRET: 'test-redeem-secret'
+});
+
+// Give every storage call a little latency, like a real Sheets round-trip, so overlapping
+// requests interleave between their reads and writes
+const storageModule = require('../_lib/storage');
+const { createStorage } = storageModule;
+storageModule.createStorage = (env) => {
+    const storage = createStorage(env);
+    const delayed = { ...storage };
+    Object.entries(storage).forEach(([name, fn]) => {
+        if (typeof fn === 'function') {
+            delayed[name] = async (...args) => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                return fn(...args);
+            };
+        }
+    });
+    return delayed;
+};
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function post(pathname, body, headers = {}) {
+    const response = await fetch(baseUrl + pathname, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    return {
+        status: response.status,
+        replayed: response.headers.get('idempotent-replay') === 'true',
+        body: await response.json()
+    };
+}
+
+async function signIn(email, lastname) {
+    const { body } = await post('/api/harty/submit', { fields: { email, lastname } });
+    assert.strictEqual(body.success, true);
+    return { Authorization: `Bearer ${body.token}` };
+}
+
+async function staffSignIn() {
+    const response = await fetch(`${baseUrl}/api/staff/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'desk', password: 'desk-password' })
+    });
+    assert.strictEqual(response.status, 200);
+    return { Cookie: response.headers.get('set-cookie').split(';')[0] };
+}
+
+// Scans a key, first scanning enough of the quest group that unlocks it
+async function collect(auth, keyId) {
+    const group = KEY_CATALOG.getGroupUnlockingKey(keyId);
+    if (group) {
+        for (const key of KEY_CATALOG.getKeysInGroup(group.id).slice(0, group.unlockAfter)) {
+            await post('/api/harty/update-key', { keyField: `${key.id} status`, status: 'scanned' }, auth);
+        }
+    }
+    return post('/api/harty/update-key', { keyField: `${keyId} status`, status: 'scanned' }, auth);
+}
+
+function readAttendee(email) {
+    const { attendees } = JSON.parse(fs.readFileSync(attendeesFile, 'utf8'));
+    return attendees.find(attendee => attendee.email === email);
+}
+
+test('concurrent scans of the same key record it exactly once', async () => {
+    const auth = await signIn('ann@example.com', 'Lee');
+
+    const results = await Promise.all(Array.from({ length: 15 }, (_, i) =>
+        post('/api/harty/update-key', { keyField: 'key1 status', status: 'scanned' }, { ...auth, 'Idempotency-Key': `scan-${i}` })
+    ));
+
+    results.forEach(result => assert.strictEqual(result.status, 200));
+    const recorded = results.filter(result => result.body.status === 'scanned');
+    const duplicates = results.filter(result => result.body.duplicate);
+    assert.strictEqual(recorded.length, 1);
+    assert.strictEqual(duplicates.length, 14);
+    assert.strictEqual(readAttendee('ann@example.com').registerKey, 'scanned');
+});
+
+test('retries with the same idempotency key replay the first answer', async () => {
+    const auth = await signIn('bob@example.com', 'Ray');
+    const headers = { ...auth, 'Idempotency-Key': 'retry-me' };
+
+    const results = await Promise.all(Array.from({ length: 5 }, () =>
+        post('/api/harty/update-key', { keyField: 'key1 status', status: 'scanned' }, headers)
+    ));
+
+    results.forEach(result => assert.deepStrictEqual(result.body, results[0].body));
+    assert.strictEqual(results[0].body.status, 'scanned');
+    assert.strictEqual(results[0].body.duplicate, undefined);
+    assert.strictEqual(results.filter(result => result.replayed).length, 4);
+});
+
+test('concurrent redeem code requests get the same code', async () => {
+    const auth = await signIn('cat@example.com', 'Kim');
+    for (const keyId of ['key1', 'key2', 'key3']) {
+        await collect(auth, keyId);
+    }
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => post('/api/harty/redeem-code', {}, auth)));
+
+    results.forEach(result => assert.strictEqual(result.body.success, true));
+    const codes = new Set(results.map(result => result.body.redeemCode));
+    assert.strictEqual(codes.size, 1);
+    assert.strictEqual(readAttendee('cat@example.com').code, results[0].body.redeemCode);
+    assert.strictEqual(results.filter(result => !result.body.existing).length, 1);
+});
+
+test('concurrent sign-ins for one attendee get the same attendee id', async () => {
+    const results = await Promise.all(Array.from({ length: 5 }, () =>
+        post('/api/harty/submit', { fields: { email: 'dan@example.com', lastname: 'Poe' } })
+    ));
+
+    results.forEach(result => assert.strictEqual(result.body.success, true));
+    assert.strictEqual(new Set(results.map(result => result.body.recordId)).size, 1);
+    assert.match(results[0].body.recordId, /^[0-9a-f-]{36}$/);
+    assert.strictEqual(readAttendee('dan@example.com').attendeeId, results[0].body.recordId);
+    assert.strictEqual(readAttendee('dan@example.com').checkin, 'checked-in');
+});
+
+test('two desks deciding one walk-in at once: the first decision stands', async () => {
+    const registered = await post('/api/harty/submit', {
+        walkIn: true,
+        fields: { firstname: 'Eve', lastname: 'Ng', email: 'eve@example.com', consent: true }
+    });
+    assert.strictEqual(registered.status, 202);
+    const staff = await staffSignIn();
+    const approvalPath = `/api/staff/walk-ins/${registered.body.recordId}/approval`;
+
+    const results = await Promise.all(['approved', 'rejected'].map(decision => post(approvalPath, { decision }, staff)));
+
+    const winners = results.filter(result => result.status === 200);
+    const losers = results.filter(result => result.status === 409);
+    assert.strictEqual(winners.length, 1);
+    assert.strictEqual(losers.length, 1);
+    assert.strictEqual(losers[0].body.error, 'WALK_IN_ALREADY_DECIDED');
+    assert.strictEqual(readAttendee('eve@example.com').approval, winners[0].body.approval);
+    assert.strictEqual(readAttendee('eve@example.com').checkin, winners[0].body.approval === 'approved' ? 'checked-in' : '');
+});
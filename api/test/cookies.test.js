@@ -0,0 +1,20 @@
+// Cookie header parsing and Set-Cookie serialization.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCookies, serializeCookie } = require('../_lib/cookies');
+
+test('cookies are split and URI-decoded', () => {
+    assert.deepStrictEqual(parseCookies('a=1; staff_session=x%3Ay'), { a: '1', staff_session: 'x:y' });
+    assert.deepStrictEqual(parseCookies(undefined), {});
+});
+
+test('a malformed percent-escape keeps the raw value instead of throwing', () => {
+    assert.deepStrictEqual(parseCookies('tracker=100%; staff_session=abc'), { tracker: '100%', staff_session: 'abc' });
+});
+
+test('serialized cookies round-trip through parseCookies', () => {
+    const cookie = serializeCookie('staff_session', 'a b;c', { maxAgeSeconds: 60, secure: true });
+    assert.match(cookie, /; Max-Age=60; Secure$/);
+    assert.deepStrictEqual(parseCookies(cookie.split(';')[0]), { staff_session: 'a b;c' });
+});
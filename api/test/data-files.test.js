@@ -0,0 +1,29 @@
+// Default data file locations and atomic JSON writes.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DATA_DIR, defaultDataPath, readJsonFile, writeJsonFileAtomic } = require('../_lib/data-files');
+
+test('data files default to data/ at the repo root, or the temp dir on Vercel', () => {
+    const repoRoot = path.join(__dirname, '..', '..');
+    assert.strictEqual(DATA_DIR, path.join(repoRoot, 'data'));
+    assert.strictEqual(defaultDataPath({}, 'security-events.json'), path.join(repoRoot, 'data', 'security-events.json'));
+    assert.strictEqual(defaultDataPath({ VERCEL: '1' }, 'mail'), path.join(os.tmpdir(), 'mail'));
+});
+
+test('JSON files are written whole, creating their folder, and read back', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhouse-data-files-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, 'nested', 'events.json');
+
+    assert.strictEqual(readJsonFile(filePath), null);
+    writeJsonFileAtomic(filePath, { events: [1] });
+    writeJsonFileAtomic(filePath, { events: [1, 2] }, { pretty: true });
+
+    assert.deepStrictEqual(readJsonFile(filePath), { events: [1, 2] });
+    assert.match(fs.readFileSync(filePath, 'utf8'), /\n {2}"events"/);
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['events.json']);
+});
@@ -0,0 +1,124 @@
+// In-memory stand-in for the Google Sheets values API (get, update, append and batchUpdate),
+// shared by the API test suites. Not a test file itself.
+const { columnLetter } = require('../_lib/storage/columns');
+
+const FIRST_SHEET = 'Sheet1';
+
+function columnIndexFromLetter(letter) {
+    return letter.split('').reduce((index, char) => index * 26 + (char.charCodeAt(0) - 64), 0) - 1;
+}
+
+// "'Scan Log'!A:G", "A5:AG5" or "C5" -> { sheet, startRow, endRow, startColumn, endColumn } (0-based, ends inclusive)
+function parseRange(range) {
+    const match = /^(?:(?:'((?:[^']|'')+)'|([^!]+))!)?([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/.exec(range);
+    if (!match) {
+        throw new Error(`Fake Sheets cannot parse range ${range}`);
+    }
+    const [, quotedSheet, sheet, startColumn, startRow, endColumn = startColumn, endRow = startRow] = match;
+    return {
+        sheet: quotedSheet ? quotedSheet.replace(/''/g, "'") : sheet || FIRST_SHEET,
+        startRow: startRow ? Number(startRow) - 1 : 0,
+        endRow: endRow ? Number(endRow) - 1 : Infinity,
+        startColumn: columnIndexFromLetter(startColumn),
+        endColumn: columnIndexFromLetter(endColumn)
+    };
+}
+
+// Sheets stores USER_ENTERED text after a leading apostrophe literally; reads come back as formatted strings
+function toCell(value, valueInputOption) {
+    const text = String(value ?? '');
+    return valueInputOption === 'USER_ENTERED' && text.startsWith("'") ? text.slice(1) : text;
+}
+
+// In-memory spreadsheet: tab name -> rows of strings. `calls` records every API call by method.
+function createFakeSheets(tabs) {
+    const calls = [];
+    let batchGate = null;
+
+    function rowsOf(sheet) {
+        if (!tabs[sheet]) {
+            throw Object.assign(new Error(`Unable to parse range: ${sheet}`), { code: 400 });
+        }
+        return tabs[sheet];
+    }
+
+    function write(range, values, valueInputOption) {
+        const { sheet, startRow, startColumn } = parseRange(range);
+        const rows = rowsOf(sheet);
+        values.forEach((rowValues, i) => {
+            const row = rows[startRow + i] || (rows[startRow + i] = []);
+            rowValues.forEach((value, j) => {
+                row[startColumn + j] = toCell(value, valueInputOption);
+            });
+        });
+    }
+
+    // Like the real API: trailing empty cells and rows are left out
+    function read(range) {
+        const { sheet, startRow, endRow, startColumn, endColumn } = parseRange(range);
+        const values = rowsOf(sheet)
+            .slice(startRow, endRow + 1)
+            .map(row => Array.from({ length: endColumn - startColumn + 1 }, (_, i) => (row || [])[startColumn + i] ?? ''))
+            .map(row => {
+                while (row.length > 0 && row[row.length - 1] === '') {
+                    row.pop();
+                }
+                return row;
+            });
+        while (values.length > 0 && values[values.length - 1].length === 0) {
+            values.pop();
+        }
+        return values;
+    }
+
+    const valuesApi = {
+        async get({ range }) {
+            calls.push({ method: 'get', range });
+            const values = read(range);
+            return { data: values.length > 0 ? { range, values } : { range } };
+        },
+        async update({ range, valueInputOption, resource }) {
+            calls.push({ method: 'update', range });
+            write(range, resource.values, valueInputOption);
+            return { data: { updatedRange: range } };
+        },
+        async batchUpdate({ resource }) {
+            calls.push({ method: 'batchUpdate', ranges: resource.data.map(entry => entry.range) });
+            if (batchGate) {
+                await batchGate;
+            }
+            resource.data.forEach(entry => write(entry.range, entry.values, resource.valueInputOption));
+            return { data: {} };
+        },
+        // Appends after the last row with data in the tab
+        async append({ range, valueInputOption, resource }) {
+            calls.push({ method: 'append', range });
+            const { sheet, startColumn } = parseRange(range);
+            const rows = rowsOf(sheet);
+            const firstRow = rows.length;
+            resource.values.forEach((rowValues, i) => {
+                rows[firstRow + i] = [];
+                rowValues.forEach((value, j) => {
+                    rows[firstRow + i][startColumn + j] = toCell(value, valueInputOption);
+                });
+            });
+            const width = Math.max(...resource.values.map(rowValues => rowValues.length));
+            const updatedRange = `${sheet}!${columnLetter(startColumn)}${firstRow + 1}:${columnLetter(startColumn + width - 1)}${firstRow + resource.values.length}`;
+            return { data: { updates: { updatedRange } } };
+        }
+    };
+
+    // Hold batchUpdate calls (they are still recorded in `calls`) until the returned release() runs
+    function holdBatchUpdates() {
+        let release;
+        batchGate = new Promise(resolve => { release = resolve; });
+        return () => {
+            batchGate = null;
+            release();
+        };
+    }
+
+    return { spreadsheets: { values: valuesApi }, tabs, calls, holdBatchUpdates };
+}
+
+module.exports = { FIRST_SHEET, createFakeSheets };
@@ -0,0 +1,57 @@
+// Dashboard stats computed from attendee records.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const KEY_CATALOG = require('../../key-catalog');
+const { computeHuntStats } = require('../_lib/hunt-stats');
+
+const users = [
+    { checkin: 'checked-in', checkedInAt: '2025-09-20T02:03:00Z', registerKey: 'scanned', projectShowcaseKey: 'scanned', afternoonSessionKey: 'scanned', in1: 'scanned', redeemKey: 'TRUE', claimedAt: '2025-09-20T04:00:00Z' },
+    { checkin: 'checked-in', checkedInAt: '2025-09-20T02:14:00Z', registerKey: 'scanned', wd2: 'scanned', redeemKey: 'FALSE' },
+    { checkin: 'checked-in', checkedInAt: '2025-09-20T02:50:00Z', redeemKey: 'FALSE' },
+    { checkin: '', redeemKey: 'FALSE' },
+    { checkin: '', approval: 'rejected', registerKey: 'scanned', redeemKey: 'FALSE' }
+];
+
+test('totals skip rejected walk-ins', () => {
+    const stats = computeHuntStats(users, KEY_CATALOG.KEYS);
+    assert.deepStrictEqual(stats.totals, { registered: 4, checkedIn: 3, redeemEligible: 1, codesClaimed: 1 });
+});
+
+test('only a Check-in of checked-in counts, like on the kiosk', () => {
+    const stats = computeHuntStats([...users, { checkin: 'undone', redeemKey: 'FALSE' }, { checkin: 'scanned', redeemKey: 'FALSE' }], KEY_CATALOG.KEYS);
+    assert.strictEqual(stats.totals.registered, 6);
+    assert.strictEqual(stats.totals.checkedIn, 3);
+});
+
+test('check-ins are bucketed with empty buckets filled in', () => {
+    const { checkIns } = computeHuntStats(users, KEY_CATALOG.KEYS);
+    assert.strictEqual(checkIns.bucketMinutes, 15);
+    assert.deepStrictEqual(checkIns.buckets, [
+        { at: '2025-09-20T02:00:00.000Z', count: 2 },
+        { at: '2025-09-20T02:15:00.000Z', count: 0 },
+        { at: '2025-09-20T02:30:00.000Z', count: 0 },
+        { at: '2025-09-20T02:45:00.000Z', count: 1 }
+    ]);
+    assert.deepStrictEqual(computeHuntStats([], KEY_CATALOG.KEYS).checkIns.buckets, []);
+});
+
+test('stations cover every readable key and the funnel reports drop-off', () => {
+    const stats = computeHuntStats(users, KEY_CATALOG.KEYS);
+    const scanned = Object.fromEntries(stats.stations.map(station => [station.id, station.scanned]));
+    assert.strictEqual(scanned.key1, 2);
+    assert.strictEqual(scanned.wd2, 1);
+    assert.strictEqual(scanned.key4, undefined);
+    assert.strictEqual(stats.stations.length, 13);
+
+    assert.deepStrictEqual(stats.funnel.map(step => [step.id, step.count, step.dropOff]), [
+        ['registered', 4, 0],
+        ['checked-in', 3, 1],
+        ['first-key', 2, 1],
+        ['key1', 2, 0],
+        ['key2', 1, 1],
+        ['key3', 1, 0],
+        ['redeem-eligible', 1, 0],
+        ['claimed', 1, 0]
+    ]);
+});
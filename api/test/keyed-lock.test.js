@@ -0,0 +1,51 @@
+// Keyed lock middleware: requests for one key run in turn, even when a queued client hangs up.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createKeyedLock } = require('../_lib/keyed-lock');
+
+test('a client that disconnects while queued does not hold the key', async (t) => {
+    const serialize = createKeyedLock().serialize(() => 'attendee:ann@example.com');
+    let releaseHold;
+    const hold = new Promise(resolve => { releaseHold = resolve; });
+    const arrived = {};
+    const arrival = name => new Promise(resolve => { arrived[name] = resolve; });
+    const holding = arrival('/hold');
+    const queued = arrival('/queued');
+    let queuedClosed;
+    const queuedGone = new Promise(resolve => { queuedClosed = resolve; });
+
+    const server = http.createServer((req, res) => {
+        if (req.url === '/queued') {
+            res.on('close', queuedClosed);
+        }
+        if (arrived[req.url]) {
+            arrived[req.url]();
+        }
+        serialize(req, res, async () => {
+            if (req.url === '/hold') {
+                await hold;
+            }
+            res.end('ok');
+        });
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => server.close());
+    const url = pathname => `http://127.0.0.1:${server.address().port}${pathname}`;
+
+    const first = fetch(url('/hold'));
+    await holding;
+    const aborter = new AbortController();
+    const abandoned = fetch(url('/queued'), { signal: aborter.signal }).catch(error => error);
+    await queued;
+    aborter.abort();
+    await queuedGone;
+    releaseHold();
+
+    assert.strictEqual(await (await first).text(), 'ok');
+    assert.strictEqual((await abandoned).name, 'AbortError');
+    const next = await fetch(url('/next'), { signal: AbortSignal.timeout(2000) });
+    assert.strictEqual(await next.text(), 'ok');
+});
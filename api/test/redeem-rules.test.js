@@ -0,0 +1,63 @@
+// Redeem tiers evaluated from the key catalog.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const KEY_CATALOG = require('../../key-catalog');
+const { createRedeemRules } = require('../_lib/redeem-rules');
+
+// { field: 'scanned' } for the given key ids
+function scanned(...keyIds) {
+    return Object.fromEntries(keyIds.map(id => [KEY_CATALOG.getKey(id).field, 'scanned']));
+}
+
+const TIERS = [
+    { id: 'grand', label: 'Grand Prize', rules: [{ key: 'key1' }, { group: 'innovation', atLeast: 3 }, { group: 'wonder' }] },
+    { id: 'points', label: 'Point Prize', rules: [{ points: 6 }] },
+    { id: 'standard', label: 'Prize', rules: [{ key: 'key1' }, { key: 'key2' }, { key: 'key3' }] }
+];
+
+test('the default tiers need key1, key2 and key3', () => {
+    const rules = createRedeemRules();
+    assert.deepStrictEqual(rules.evaluate(scanned('key1', 'key2', 'key3')).tier, { id: 'standard', label: 'Prize' });
+    assert.strictEqual(rules.evaluate(scanned('key1', 'key2', 'in1', 'in2')).tier, null);
+    assert.deepStrictEqual(
+        KEY_CATALOG.KEYS.filter(key => key.requiredForRedeem).map(key => key.id),
+        ['key1', 'key2', 'key3']
+    );
+});
+
+test('an attendee gets the best tier whose rules all hold', () => {
+    const rules = createRedeemRules({ tiers: TIERS });
+    const wonder = ['wd1', 'wd2', 'wd3', 'wd4', 'wd5', 'wd6'];
+
+    assert.strictEqual(rules.evaluate(scanned('key1', 'in1', 'in2', 'in3', ...wonder)).tier.id, 'grand');
+    // Two innovation keys are not enough for grand, but ten keys are worth enough points
+    assert.strictEqual(rules.evaluate(scanned('key1', 'in1', 'in2', ...wonder)).tier.id, 'points');
+    assert.strictEqual(rules.evaluate(scanned('key1', 'key2', 'key3')).tier.id, 'standard');
+    assert.strictEqual(rules.evaluate(scanned('key1', 'in1')).tier, null);
+});
+
+test('points use each key\'s points, default 1, and skip unreadable keys', () => {
+    const keys = KEY_CATALOG.KEYS.map(key => (key.id === 'key1' ? { ...key, points: 5 } : key));
+    const rules = createRedeemRules({ tiers: [{ id: 'vip', label: 'VIP', rules: [{ points: 6 }] }], keys });
+
+    assert.deepStrictEqual(rules.evaluate(scanned('key1', 'in1')), { tier: { id: 'vip', label: 'VIP' }, points: 6 });
+    // key4 shares the check-in column, so it never counts
+    assert.strictEqual(rules.evaluate({ ...scanned('key1'), checkin: 'scanned' }).points, 5);
+});
+
+test('a whole-group rule only needs the readable keys', () => {
+    const rules = createRedeemRules({ tiers: [{ id: 'main', label: 'Main Prize', rules: [{ group: 'main' }] }] });
+    // key4 (Check-in) is in the main group but never read back
+    assert.deepStrictEqual(rules.evaluate(scanned('key1', 'key2', 'key3')).tier, { id: 'main', label: 'Main Prize' });
+    assert.throws(() => createRedeemRules({ tiers: [{ id: 'x', label: 'X', rules: [{ group: 'main', atLeast: 4 }] }] }), /its 3 readable keys/);
+});
+
+test('broken tiers fail at startup', () => {
+    assert.throws(() => createRedeemRules({ tiers: [{ id: 'x', label: 'X', rules: [{ key: 'key99' }] }] }), /key key99 is not a readable key/);
+    assert.throws(() => createRedeemRules({ tiers: [{ id: 'x', label: 'X', rules: [{ key: 'key4' }] }] }), /key key4/);
+    assert.throws(() => createRedeemRules({ tiers: [{ id: 'x', label: 'X', rules: [{ group: 'wonder', atLeast: 7 }] }] }), /group wonder/);
+    assert.throws(() => createRedeemRules({ tiers: [{ id: 'x', label: 'X', rules: [{ group: 'nope' }] }] }), /group nope/);
+    assert.throws(() => createRedeemRules({ tiers: [{ id: 'x', label: 'X', rules: [{ points: 0 }] }] }), /unknown rule/);
+    assert.throws(() => createRedeemRules({ tiers: [{ id: 'x', label: 'X', rules: [] }] }), /at least one rule/);
+});
@@ -0,0 +1,76 @@
+// Scan log events, the key statuses derived from them and hunt timing.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KEY_CATALOG = require('../../key-catalog');
+const { scanEvent, deriveKeyStatuses, summarizeScans, createJsonFileScanLog } = require('../_lib/scan-log');
+
+const user = { attendeeId: 'att-1', email: 'ada@example.com' };
+
+function scan(keyId, at, status = 'scanned') {
+    return scanEvent({ user, key: KEY_CATALOG.getKey(keyId), status, method: 'ar', now: new Date(at) });
+}
+
+test('events record the attendee, key, method and a trimmed device string', () => {
+    const event = scanEvent({
+        user,
+        key: KEY_CATALOG.getKey('in2'),
+        status: 'scanned',
+        method: 'teleport',
+        device: 'x'.repeat(500),
+        now: new Date('2025-09-20T02:00:00Z')
+    });
+    assert.strictEqual(event.at, '2025-09-20T02:00:00.000Z');
+    assert.strictEqual(event.attendeeId, 'att-1');
+    assert.strictEqual(event.key, 'in2');
+    assert.strictEqual(event.method, 'ar');
+    assert.strictEqual(event.device.length, 200);
+});
+
+test('the latest event decides each key status, whatever order the log is in', () => {
+    const events = [
+        scan('key2', '2025-09-20T03:00:00Z', 'not_scanned'),
+        scan('key1', '2025-09-20T02:00:00Z'),
+        scan('key2', '2025-09-20T02:30:00Z')
+    ];
+    assert.deepStrictEqual(deriveKeyStatuses(events), { key1: 'scanned', key2: 'not_scanned' });
+    assert.deepStrictEqual(deriveKeyStatuses([]), {});
+});
+
+test('hunt summaries time the hunt to the first scan of the last redeem key', () => {
+    const events = [
+        scan('key1', '2025-09-20T02:00:00Z'),
+        scan('in1', '2025-09-20T02:10:00Z'),
+        scan('key2', '2025-09-20T02:20:00Z'),
+        scan('key1', '2025-09-20T02:25:00Z'),
+        scan('key3', '2025-09-20T02:45:00Z'),
+        scan('wd1', '2025-09-20T03:00:00Z')
+    ];
+    assert.deepStrictEqual(summarizeScans(events, KEY_CATALOG.KEYS), {
+        scans: 6,
+        firstScanAt: '2025-09-20T02:00:00.000Z',
+        lastScanAt: '2025-09-20T03:00:00.000Z',
+        completedAt: '2025-09-20T02:45:00.000Z',
+        durationMinutes: 45,
+        order: ['key1', 'in1', 'key2', 'key3', 'wd1']
+    });
+
+    const unfinished = summarizeScans(events.slice(0, 3), KEY_CATALOG.KEYS);
+    assert.strictEqual(unfinished.completedAt, null);
+    assert.strictEqual(unfinished.durationMinutes, null);
+});
+
+test('the file scan log keeps events across restarts', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scan-log-')), 'scans.json');
+    const log = createJsonFileScanLog({ filePath });
+    await log.append(scan('key1', '2025-09-20T02:00:00Z'));
+    await log.append({ ...scan('key2', '2025-09-20T02:05:00Z'), attendeeId: 'att-2' });
+
+    const reopened = createJsonFileScanLog({ filePath });
+    assert.strictEqual((await reopened.list()).length, 2);
+    assert.deepStrictEqual((await reopened.listForAttendee('att-1')).map(event => event.key), ['key1']);
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
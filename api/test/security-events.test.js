@@ -0,0 +1,100 @@
+// Security event log and temporary IP blocks.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSecurityEvents, securityEventsFromEnv } = require('../_lib/security-events');
+
+const MINUTE = 60 * 1000;
+const start = new Date('2025-09-20T03:00:00Z');
+
+function at(minutes) {
+    return new Date(start.getTime() + minutes * MINUTE);
+}
+
+test('records events newest first and trims long values', () => {
+    const events = createSecurityEvents();
+    events.record({ ip: '10.0.0.1', route: 'POST /api/harty/submit', field: 'body.fields.email', rule: 'must be a valid email address', value: 'x'.repeat(500) }, at(0));
+    events.record({ ip: '10.0.0.2', route: 'GET /api/harty/user/:email', field: 'params.email', rule: 'must be a valid email address', attendeeId: 'a-1' }, at(1));
+
+    const listed = events.list();
+    assert.deepStrictEqual(listed.map(event => event.ip), ['10.0.0.2', '10.0.0.1']);
+    assert.strictEqual(listed[1].value.length, 100);
+    assert.strictEqual(listed[0].attendeeId, 'a-1');
+    assert.strictEqual(listed[0].staff, null);
+    assert.deepStrictEqual(events.list({ ip: '10.0.0.1' }).map(event => event.at), [at(0).toISOString()]);
+});
+
+test('keeps only the newest maxEvents', () => {
+    const events = createSecurityEvents({ maxEvents: 3 });
+    for (let i = 0; i < 5; i++) {
+        events.record({ ip: `10.0.0.${i}` }, at(i));
+    }
+    assert.deepStrictEqual(events.list().map(event => event.ip), ['10.0.0.4', '10.0.0.3', '10.0.0.2']);
+});
+
+test('top IPs are ranked by event count', () => {
+    const events = createSecurityEvents();
+    ['10.0.0.1', '10.0.0.2', '10.0.0.2'].forEach((ip, i) => events.record({ ip }, at(i)));
+    assert.deepStrictEqual(events.topIps(), [
+        { ip: '10.0.0.2', events: 2, lastAt: at(2).toISOString() },
+        { ip: '10.0.0.1', events: 1, lastAt: at(0).toISOString() }
+    ]);
+});
+
+test('never blocks unless blockAfter is set', () => {
+    const events = createSecurityEvents();
+    for (let i = 0; i < 50; i++) {
+        assert.strictEqual(events.record({ ip: '10.0.0.1' }, at(0)), null);
+    }
+    assert.strictEqual(events.blockingEnabled, false);
+    assert.strictEqual(events.isBlocked('10.0.0.1', at(0)), null);
+});
+
+test('blocks an IP after repeated hits inside the window, until the block expires', () => {
+    const events = createSecurityEvents({ blockAfter: 3, blockWindowMs: 10 * MINUTE, blockForMs: 15 * MINUTE });
+    events.record({ ip: '10.0.0.1' }, at(0));
+    events.record({ ip: '10.0.0.1' }, at(11)); // the first hit has left the window
+    assert.strictEqual(events.record({ ip: '10.0.0.1' }, at(12)), null);
+
+    const block = events.record({ ip: '10.0.0.1' }, at(13));
+    assert.deepStrictEqual(block, { ip: '10.0.0.1', blockedAt: at(13).toISOString(), until: at(28).toISOString(), events: 3 });
+    assert.deepStrictEqual(events.isBlocked('10.0.0.1', at(20)), block);
+    assert.strictEqual(events.isBlocked('10.0.0.2', at(20)), null);
+    assert.deepStrictEqual(events.listBlocks(at(20)), [block]);
+
+    assert.strictEqual(events.isBlocked('10.0.0.1', at(28)), null);
+    assert.deepStrictEqual(events.listBlocks(at(28)), []);
+});
+
+test('unblock lifts a block early', () => {
+    const events = createSecurityEvents({ blockAfter: 1 });
+    assert.ok(events.record({ ip: '10.0.0.1' }, at(0)));
+    assert.strictEqual(events.unblock('10.0.0.1'), true);
+    assert.strictEqual(events.isBlocked('10.0.0.1', at(1)), null);
+    assert.strictEqual(events.unblock('10.0.0.1'), false);
+});
+
+test('file store survives a restart', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-events-'));
+    const filePath = path.join(dir, 'events.json');
+    try {
+        const events = createSecurityEvents({ filePath });
+        events.record({ ip: '10.0.0.1', field: 'body' }, at(0));
+        events.flush();
+
+        const reopened = createSecurityEvents({ filePath });
+        assert.deepStrictEqual(reopened.list().map(event => event.field), ['body']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('env config rejects unknown stores and bad numbers', () => {
+    assert.strictEqual(securityEventsFromEnv({ SECURITY_EVENT_STORE: 'memory' }).blockingEnabled, false);
+    assert.strictEqual(securityEventsFromEnv({ SECURITY_EVENT_STORE: 'memory', SECURITY_BLOCK_AFTER: '5' }).blockingEnabled, true);
+    assert.throws(() => securityEventsFromEnv({ SECURITY_EVENT_STORE: 'redis' }), /Unknown SECURITY_EVENT_STORE/);
+    assert.throws(() => securityEventsFromEnv({ SECURITY_EVENT_STORE: 'memory', SECURITY_BLOCK_AFTER: 'lots' }), /Invalid SECURITY_BLOCK_AFTER/);
+});
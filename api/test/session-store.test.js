@@ -0,0 +1,115 @@
+// AR game session stores (memory and JSON file): expiry, sweeping, the session cap and reloading.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore, createMemorySessionStore, createJsonFileSessionStore } = require('../_lib/session-store');
+
+const HOUR = 60 * 60 * 1000;
+
+function clock(start = Date.parse('2025-09-20T03:00:00Z')) {
+    let current = start;
+    const now = () => current;
+    now.advance = (ms) => {
+        current += ms;
+    };
+    return now;
+}
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhouse-sessions-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'sessions.json');
+}
+
+test('sessions expire ttlMs after their last write', async () => {
+    const now = clock();
+    const store = createMemorySessionStore({ ttlMs: HOUR, now });
+    await store.set('a', { sessionId: 'a' });
+
+    now.advance(HOUR - 1);
+    assert.deepStrictEqual(await store.get('a'), { sessionId: 'a' });
+    await store.set('a', { sessionId: 'a', collectedKeys: ['x'] }); // refreshes the expiry
+
+    now.advance(HOUR - 1);
+    assert.deepStrictEqual(await store.get('a'), { sessionId: 'a', collectedKeys: ['x'] });
+    now.advance(1);
+    assert.strictEqual(await store.get('a'), null);
+    assert.deepStrictEqual(await store.list(), []);
+});
+
+test('sweep removes expired sessions only', async () => {
+    const now = clock();
+    const store = createMemorySessionStore({ ttlMs: HOUR, now });
+    await store.set('old', { sessionId: 'old' });
+    now.advance(HOUR / 2);
+    await store.set('new', { sessionId: 'new' });
+    now.advance(HOUR / 2);
+
+    assert.strictEqual(await store.sweep(), 1);
+    assert.strictEqual(await store.sweep(), 0);
+    assert.deepStrictEqual(await store.list(), [{ sessionId: 'new' }]);
+});
+
+test('new sessions are refused past maxSessions until old ones expire', async () => {
+    const now = clock();
+    const store = createMemorySessionStore({ ttlMs: HOUR, maxSessions: 2, now });
+    await store.set('a', { sessionId: 'a' });
+    now.advance(HOUR / 2);
+    await store.set('b', { sessionId: 'b' });
+
+    await assert.rejects(() => store.set('c', { sessionId: 'c' }), error => error.code === 'SESSION_LIMIT');
+    await store.set('b', { sessionId: 'b', isCompleted: true }); // existing sessions can still be updated
+
+    now.advance(HOUR / 2); // 'a' has expired and frees its place
+    await store.set('c', { sessionId: 'c' });
+    assert.deepStrictEqual((await store.list()).map(session => session.sessionId), ['b', 'c']);
+});
+
+test('the file store batches writes, and a new store reloads live sessions from the file', async (t) => {
+    const filePath = tempFile(t);
+    const store = createJsonFileSessionStore({ filePath, ttlMs: HOUR, saveDelayMs: 60 * 1000 });
+    await store.set('a', { sessionId: 'a' });
+    await store.set('b', { sessionId: 'b' });
+    await store.remove('b');
+    assert.strictEqual(fs.existsSync(filePath), false);
+
+    store.flush();
+    const reloaded = createJsonFileSessionStore({ filePath, ttlMs: HOUR });
+    assert.deepStrictEqual(await reloaded.list(), [{ sessionId: 'a' }]);
+    assert.strictEqual(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test('the file store saves on its own once the delay has passed', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const filePath = tempFile(t);
+    const store = createJsonFileSessionStore({ filePath, ttlMs: HOUR, saveDelayMs: 1000 });
+    await store.set('a', { sessionId: 'a' });
+
+    t.mock.timers.tick(999);
+    assert.strictEqual(fs.existsSync(filePath), false);
+    t.mock.timers.tick(1);
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).sessions), ['a']);
+});
+
+test('expired sessions in the file are not loaded', async (t) => {
+    const filePath = tempFile(t);
+    fs.writeFileSync(filePath, JSON.stringify({
+        sessions: {
+            gone: { session: { sessionId: 'gone' }, expiresAt: Date.now() - 1 },
+            live: { session: { sessionId: 'live' }, expiresAt: Date.now() + HOUR }
+        }
+    }));
+
+    const store = createJsonFileSessionStore({ filePath, ttlMs: HOUR });
+    assert.strictEqual(await store.get('gone'), null);
+    assert.deepStrictEqual(await store.list(), [{ sessionId: 'live' }]);
+});
+
+test('SESSION_MAX and SESSION_TTL_HOURS must be positive numbers', () => {
+    assert.throws(() => createSessionStore({ SESSION_STORE: 'memory', SESSION_MAX: 'lots' }), /Invalid SESSION_MAX/);
+    assert.throws(() => createSessionStore({ SESSION_STORE: 'memory', SESSION_TTL_HOURS: '0' }), /Invalid SESSION_TTL_HOURS/);
+    assert.strictEqual(createSessionStore({ SESSION_STORE: 'memory', SESSION_MAX: '10' }).name, 'memory');
+});
@@ -0,0 +1,24 @@
+// Staff accounts: password checks and the constant-cost miss for unknown usernames.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createStaffAuth, hashPassword } = require('../_lib/staff-auth');
+
+const staffAuth = createStaffAuth({
+    accounts: `Alice:admin:${hashPassword('correct horse')}`,
+    sessionSecret: 'test-session-secret'
+});
+
+test('a matching password signs in with the account role', async () => {
+    assert.deepStrictEqual(await staffAuth.authenticate('alice', 'correct horse'), { username: 'Alice', role: 'admin' });
+    assert.strictEqual(await staffAuth.authenticate('alice', 'wrong horse'), null);
+    assert.strictEqual(await staffAuth.authenticate('alice', ''), null);
+});
+
+test('unknown usernames still run scrypt before failing', async (t) => {
+    const scrypt = t.mock.method(crypto, 'scrypt');
+    assert.strictEqual(await staffAuth.authenticate('mallory', 'correct horse'), null);
+    assert.strictEqual(await staffAuth.authenticate(undefined, undefined), null);
+    assert.strictEqual(scrypt.mock.callCount(), 2);
+});
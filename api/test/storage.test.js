@@ -0,0 +1,66 @@
+// Attendee storage backends (memory and JSON file) and backend selection.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, requiredEnvVarsFor, createMemoryStorage, createJsonFileStorage } = require('../_lib/storage');
+
+const ann = { firstname: 'Ann', lastname: 'Lee', email: 'ann@example.com' };
+const bob = { firstname: 'Bob', lastname: 'Ray', email: 'bob@example.com' };
+
+test('memory storage numbers rows like the sheet and finds emails case-insensitively', async () => {
+    const storage = createMemoryStorage();
+    const first = await storage.createUserRecord(ann);
+    const second = await storage.createUserRecord(bob);
+
+    assert.strictEqual(first.rowIndex, 2);
+    assert.strictEqual(second.rowIndex, 3);
+    const [found] = await storage.findUserByEmail('BOB@example.com');
+    assert.strictEqual(found.rowIndex, 3);
+    assert.strictEqual(found.lastName, 'Ray');
+    assert.deepStrictEqual(await storage.findUserByEmail('nobody@example.com'), []);
+});
+
+test('memory storage reads and writes single fields and whole rows', async () => {
+    const storage = createMemoryStorage();
+    const { rowIndex } = await storage.createUserRecord(ann);
+
+    assert.strictEqual(await storage.readField(rowIndex, 'redeemKey'), 'FALSE');
+    await storage.writeField(rowIndex, 'registerKey', 'scanned');
+    assert.strictEqual(await storage.readField(rowIndex, 'registerKey'), 'scanned');
+
+    const updated = await storage.updateUserRecord(rowIndex, { ...ann, lastname: 'Lee-Smith' });
+    assert.deepStrictEqual(updated, { rowIndex, firstName: 'Ann', lastName: 'Lee-Smith', email: 'ann@example.com' });
+    assert.strictEqual(await storage.getUserEmailByRowIndex(rowIndex), 'ann@example.com');
+    assert.strictEqual(await storage.getUserEmailByRowIndex(99), null);
+    await assert.rejects(() => storage.writeField(99, 'registerKey', 'scanned'), /Row 99 does not exist/);
+});
+
+test('file storage survives a restart and leaves no temp file behind', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhouse-storage-'));
+    const filePath = path.join(dir, 'attendees.json');
+    try {
+        const storage = createJsonFileStorage({ filePath });
+        const { rowIndex } = await storage.createUserRecord(ann);
+        await storage.writeField(rowIndex, 'registerKey', 'scanned');
+
+        const reopened = createJsonFileStorage({ filePath });
+        const [found] = await reopened.findUserByEmail('ann@example.com');
+        assert.strictEqual(reopened.name, 'file');
+        assert.strictEqual(found.registerKey, 'scanned');
+        assert.deepStrictEqual(fs.readdirSync(dir), ['attendees.json']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('STORAGE_BACKEND picks the backend and only sheets needs credentials', () => {
+    assert.strictEqual(createStorage({ STORAGE_BACKEND: 'memory' }).name, 'memory');
+    assert.strictEqual(createStorage({ STORAGE_BACKEND: 'FILE', STORAGE_FILE: path.join(os.tmpdir(), 'missing-attendees.json') }).name, 'file');
+    assert.throws(() => createStorage({ STORAGE_BACKEND: 'airtable' }), /Unknown STORAGE_BACKEND "airtable"/);
+
+    assert.deepStrictEqual(requiredEnvVarsFor({ STORAGE_BACKEND: 'memory' }), []);
+    assert.ok(requiredEnvVarsFor({}).includes('GOOGLE_SHEETS_ID'));
+});
@@ -0,0 +1,88 @@
+// Request schemas: real names and emails get through, malformed input gets a structured 400.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validate, validateRequest } = require('../_lib/validation');
+const { REQUEST_SCHEMAS } = require('../_lib/request-schemas');
+const { toSheetValue } = require('../_lib/storage/google-sheets');
+
+function submit(fields, extra = {}) {
+    return validate(REQUEST_SCHEMAS.submit, { body: { fields, ...extra } });
+}
+
+test('names with apostrophes, hyphens and non-Latin scripts are accepted', () => {
+    ["O'Brien", 'O’Neil', 'Jean-Luc', 'St. John', 'Nguyễn', 'สมชาย', 'Müller-Lüdenscheidt', 'J.R.R.'].forEach(lastname => {
+        assert.deepStrictEqual(submit({ email: 'a@example.com', lastname }), [], lastname);
+    });
+});
+
+test('emails with # and + are accepted; malformed ones are not', () => {
+    assert.deepStrictEqual(submit({ email: 'ada#1+openhouse@example.com', lastname: 'Love' }), []);
+    assert.deepStrictEqual(submit({ email: 'not-an-email', lastname: 'Love' }), [
+        { field: 'body.fields.email', message: 'must be a valid email address' }
+    ]);
+});
+
+test('names that are not names are rejected with the field that failed', () => {
+    ['=IMPORTXML("x")', '<script>', 'Robert); DROP', '  ', '-', 'x'.repeat(101)].forEach(lastname => {
+        const errors = submit({ email: 'a@example.com', lastname });
+        assert.strictEqual(errors.length, 1, lastname);
+        assert.strictEqual(errors[0].field, 'body.fields.lastname');
+    });
+});
+
+test('missing and wrongly typed fields are reported together', () => {
+    assert.deepStrictEqual(submit({ email: 'a@example.com', marketingConsent: 'yes' }, { walkIn: 1 }), [
+        { field: 'body.fields.lastname', message: 'is required' },
+        { field: 'body.fields.marketingConsent', message: 'must be true or false' },
+        { field: 'body.walkIn', message: 'must be true or false' }
+    ]);
+    assert.deepStrictEqual(validate(REQUEST_SCHEMAS.submit, { body: {} }), [
+        { field: 'body.fields', message: 'is required' }
+    ]);
+});
+
+test('key updates only accept catalog keys, known statuses and scan methods', () => {
+    const check = body => validate(REQUEST_SCHEMAS.updateKey, { body });
+    assert.deepStrictEqual(check({ keyField: 'wd6 status', status: 'scanned', scanMethod: 'qr' }), []);
+    assert.strictEqual(check({ keyField: 'key9 status', status: 'scanned' })[0].field, 'body.keyField');
+    // key4 is the Check-in column, which only staff change
+    assert.strictEqual(check({ keyField: 'key4 status', status: 'not_scanned' })[0].field, 'body.keyField');
+    assert.strictEqual(check({ keyField: 'key1 status', status: 'hacked' })[0].field, 'body.status');
+    assert.strictEqual(check({ keyField: 'key1 status', status: 'scanned', scanMethod: 'teleport' })[0].field, 'body.scanMethod');
+});
+
+test('the middleware answers invalid requests with a structured 400', () => {
+    let statusCode = null;
+    let body = null;
+    let nextCalled = false;
+    const res = {
+        status(code) {
+            statusCode = code;
+            return this;
+        },
+        json(payload) {
+            body = payload;
+            return this;
+        }
+    };
+
+    validateRequest(REQUEST_SCHEMAS.userLookup)({ params: { email: "o'brien@example.com" } }, res, () => {
+        nextCalled = true;
+    });
+    assert.ok(nextCalled);
+
+    validateRequest(REQUEST_SCHEMAS.userLookup)({ params: { email: 'nope' } }, res, () => assert.fail('next called'));
+    assert.strictEqual(statusCode, 400);
+    assert.strictEqual(body.success, false);
+    assert.strictEqual(body.error, 'VALIDATION_FAILED');
+    assert.strictEqual(body.message, 'params.email must be a valid email address');
+    assert.deepStrictEqual(body.errors, [{ field: 'params.email', message: 'must be a valid email address' }]);
+});
+
+test('text that Sheets would run as a formula is written as a literal', () => {
+    assert.strictEqual(toSheetValue('=IMPORTXML("http://x", "//a")@x.io'), '\'=IMPORTXML("http://x", "//a")@x.io');
+    assert.strictEqual(toSheetValue('+66 1234'), "'+66 1234");
+    assert.strictEqual(toSheetValue("O'Brien"), "O'Brien");
+    assert.strictEqual(toSheetValue('TRUE'), 'TRUE');
+});
@@ -0,0 +1,52 @@
+// Walk-in policy: consent validation, approval mode fields and the per-day cap.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWalkInPolicy } = require('../_lib/walk-ins');
+
+const visitor = { firstname: 'Eve', lastname: 'Ng', email: 'eve@example.com', consent: true };
+
+test('walk-ins must accept the privacy policy', () => {
+    const policy = createWalkInPolicy({ mode: 'open' });
+    assert.strictEqual(policy.validate(visitor), null);
+    assert.ok(policy.validate({ ...visitor, consent: false }));
+    assert.ok(policy.validate({ ...visitor, consent: 'true' }));
+    assert.ok(policy.validate({ ...visitor, email: 'not-an-email' }));
+});
+
+test('approval mode leaves walk-ins pending and not checked in', () => {
+    const now = new Date('2025-09-20T03:00:00Z');
+    const open = createWalkInPolicy({ mode: 'open' }).newWalkInFields(visitor, now);
+    const approval = createWalkInPolicy({ mode: 'approval' }).newWalkInFields({ ...visitor, marketingConsent: true }, now);
+
+    assert.deepStrictEqual(
+        { checkin: open.checkin, approval: open.approval, marketingConsent: open.marketingConsent },
+        { checkin: 'checked-in', approval: '', marketingConsent: 'FALSE' }
+    );
+    assert.deepStrictEqual(
+        { checkin: approval.checkin, approval: approval.approval, marketingConsent: approval.marketingConsent },
+        { checkin: '', approval: 'pending', marketingConsent: 'TRUE' }
+    );
+    assert.strictEqual(approval.source, 'walk-in');
+    assert.strictEqual(approval.consentAt, now.toISOString());
+});
+
+test('daily cap counts walk-ins per event day in the event time zone', () => {
+    const policy = createWalkInPolicy({ mode: 'open', dailyCap: 2, timeZone: 'Asia/Bangkok' });
+    // 23:30 UTC on the 19th is already the 20th in Bangkok
+    const users = [
+        { source: 'walk-in', registeredAt: '2025-09-19T23:30:00Z' },
+        { source: 'walk-in', registeredAt: '2025-09-19T10:00:00Z' },
+        { source: '', registeredAt: '' }
+    ];
+    const now = new Date('2025-09-20T05:00:00Z');
+
+    assert.strictEqual(policy.countToday(users, now), 1);
+    assert.strictEqual(policy.capReached(users, now), false);
+    users.push({ source: 'walk-in', registeredAt: '2025-09-20T04:00:00Z' });
+    assert.strictEqual(policy.capReached(users, now), true);
+});
+
+test('unknown modes are rejected', () => {
+    assert.throws(() => createWalkInPolicy({ mode: 'sometimes' }), /Unknown WALK_IN_MODE/);
+});
@@ -0,0 +1,64 @@
+// Write-behind queue: reads during a flush, and how failed flushes are retried or given up.
+// Run with: npm test (from api/)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createWriteQueue } = require('../_lib/storage/write-queue');
+
+// Long interval so only flushNow() sends batches
+const INTERVAL_MS = 60 * 1000;
+
+test('cells stay readable while their batch is being written', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const batches = [];
+    let release;
+    const queue = createWriteQueue({
+        intervalMs: INTERVAL_MS,
+        flush: batch => {
+            batches.push(batch.map(update => update.value));
+            return new Promise(resolve => { release = resolve; });
+        }
+    });
+    queue.enqueue(2, 'redeemKey', 'TRUE');
+
+    const flushing = queue.flushNow();
+    assert.deepStrictEqual(queue.pendingFor(2), { redeemKey: 'TRUE' });
+    assert.strictEqual(queue.getStats().inFlight, 1);
+
+    // A newer value queued mid-flush wins over the one being written
+    queue.enqueue(2, 'redeemKey', 'CLAIMED');
+    assert.deepStrictEqual(queue.pendingFor(2), { redeemKey: 'CLAIMED' });
+
+    release();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(queue.pendingFor(2), { redeemKey: 'CLAIMED' });
+    release();
+    await flushing;
+    assert.deepStrictEqual(queue.pendingFor(2), {});
+    assert.deepStrictEqual(batches, [['TRUE'], ['CLAIMED']]);
+});
+
+test('permanent errors give a cell up after maxAttempts, rate limits never do', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    t.mock.method(console, 'error', () => {});
+    let failure = new Error('Unable to parse range');
+    const queue = createWriteQueue({
+        intervalMs: INTERVAL_MS,
+        maxAttempts: 2,
+        flush: async () => { throw failure; }
+    });
+    queue.enqueue(2, 'key1', 'scanned');
+
+    await assert.rejects(queue.flushNow());
+    assert.deepStrictEqual(queue.pendingFor(2), { key1: 'scanned' });
+    await assert.rejects(queue.flushNow());
+    assert.deepStrictEqual(queue.pendingFor(2), {});
+    assert.strictEqual(queue.getStats().droppedCells, 1);
+
+    failure = Object.assign(new Error('Quota exceeded'), { code: 429 });
+    queue.enqueue(3, 'key1', 'scanned');
+    for (let attempt = 0; attempt < 4; attempt++) {
+        await assert.rejects(queue.flushNow());
+    }
+    assert.deepStrictEqual(queue.pendingFor(3), { key1: 'scanned' });
+    assert.strictEqual(queue.getStats().droppedCells, 1);
+});
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+// Bulk import registrants into the attendee store, export attendees with their key progress,
+// or rebuild the key columns from the scan log.
+// Uses the same STORAGE_BACKEND settings as the API server (see api/.env.example).
+//
+// Usage:
+//   node attendees.js import <registrants.csv|.xlsx> [--map "Form Header=field,..."] [--dry-run]
+//   node attendees.js export <report.csv|.json> [--format csv|json]
+//   node attendees.js rebuild-keys [--dry-run]
+//
+// Import matches columns by header (First Name, Last Name, Email, ...); use --map for anything else,
+// e.g. --map "E-mail Address=email,Given Name=firstname,Family Name=lastname".
+// Rows with an invalid email or no last name are skipped, and so are emails already in the store
+// or repeated in the file (the first row wins).
+// rebuild-keys sets each key column to the attendee's latest logged status and grants Redeem Key
+// to anyone who now qualifies for a redeem tier; it never clears a key missing from the log.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./api/_lib/storage');
+const { createScanLog, deriveKeyStatuses } = require('./api/_lib/scan-log');
+const { createRedeemRules } = require('./api/_lib/redeem-rules');
+const KEY_CATALOG = require('./key-catalog');
+const {
+    parseCsv,
+    toCsv,
+    parseMappingOption,
+    prepareRegistrants,
+    exportRecord,
+    exportHeaders
+} = require('./api/_lib/attendee-import');
+
+const USAGE = `Usage:
+  node attendees.js import <registrants.csv|.xlsx> [--map "Form Header=field,..."] [--dry-run]
+  node attendees.js export <report.csv|.json> [--format csv|json]
+  node attendees.js rebuild-keys [--dry-run]`;
+
+function parseArgs(argv) {
+    const args = { positional: [], options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') {
+            args.options.dryRun = true;
+        } else if (argv[i] === '--map' || argv[i] === '--format') {
+            args.options[argv[i].slice(2)] = argv[++i];
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+// Spreadsheet file -> rows of cell text (header first)
+async function readRows(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.csv') {
+        return parseCsv(fs.readFileSync(filePath, 'utf8'));
+    }
+    if (extension === '.xlsx') {
+        const ExcelJS = require('exceljs');
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(filePath);
+        const worksheet = workbook.worksheets[0];
+        const rows = [];
+        worksheet.eachRow(row => {
+            const cells = [];
+            row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+                cells[columnNumber - 1] = cell.text;
+            });
+            rows.push(Array.from(cells, cell => cell || ''));
+        });
+        return rows;
+    }
+    throw new Error(`Unsupported file type "${extension}" - use .csv or .xlsx`);
+}
+
+function printSkipped(label, entries) {
+    if (entries.length === 0) {
+        return;
+    }
+    console.log(`⚠️  ${entries.length} ${label}:`);
+    entries.forEach(entry => console.log(`   line ${entry.line}: ${entry.email || '(no email)'} - ${entry.reason}`));
+}
+
+async function importRegistrants(storage, filePath, options) {
+    const rows = await readRows(filePath);
+    const { registrants, invalid, duplicates } = prepareRegistrants(rows, parseMappingOption(options.map));
+
+    const existingEmails = new Set((await storage.listUsers()).map(user => user.email.toLowerCase()));
+    const alreadyRegistered = registrants
+        .filter(registrant => existingEmails.has(registrant.fields.email))
+        .map(registrant => ({ line: registrant.line, email: registrant.fields.email, reason: 'already registered' }));
+    const newRegistrants = registrants.filter(registrant => !existingEmails.has(registrant.fields.email));
+
+    console.log(`📄 ${rows.length - 1} rows read from ${filePath}`);
+    printSkipped('invalid rows skipped', invalid);
+    printSkipped('duplicates skipped', [...duplicates, ...alreadyRegistered]);
+
+    if (options.dryRun) {
+        console.log(`🔍 Dry run: ${newRegistrants.length} attendees would be imported`);
+        return;
+    }
+
+    // Pre-registered attendees are checked in when they first sign in at the event
+    const created = await storage.createUserRecords(newRegistrants.map(registrant => ({ ...registrant.fields, checkin: '' })));
+    console.log(`✅ Imported ${created.length} attendees into ${storage.name} storage`);
+}
+
+async function exportAttendees(storage, filePath, options) {
+    const format = (options.format || path.extname(filePath).slice(1) || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+        throw new Error(`Unsupported export format "${format}" - use csv or json`);
+    }
+
+    const rows = (await storage.listUsers()).map(exportRecord);
+    const content = format === 'json'
+        ? JSON.stringify({ exportedAt: new Date().toISOString(), attendees: rows }, null, 2)
+        : toCsv([exportHeaders(), ...rows.map(row => Object.values(row))]);
+
+    fs.writeFileSync(filePath, content);
+    console.log(`✅ Exported ${rows.length} attendees to ${filePath}`);
+}
+
+async function rebuildKeys(storage, options) {
+    const events = await createScanLog(process.env).list();
+    const eventsByAttendee = new Map();
+    events.forEach(event => {
+        eventsByAttendee.set(event.attendeeId, [...(eventsByAttendee.get(event.attendeeId) || []), event]);
+    });
+    const redeemRules = createRedeemRules();
+
+    const changes = [];
+    (await storage.listUsers()).forEach(user => {
+        const statuses = deriveKeyStatuses(eventsByAttendee.get(user.attendeeId) || []);
+        const rebuilt = { ...user };
+        Object.entries(statuses).forEach(([keyId, status]) => {
+            const key = KEY_CATALOG.getKey(keyId);
+            // Unreadable keys share a column with other data (key4 is Check-in), so the log never overwrites them
+            if (key && key.readable !== false && user[key.field] !== status) {
+                changes.push({ user, field: key.field, value: status });
+                rebuilt[key.field] = status;
+            }
+        });
+        if (user.redeemKey !== 'TRUE' && redeemRules.evaluate(rebuilt).tier) {
+            changes.push({ user, field: 'redeemKey', value: 'TRUE' });
+        }
+    });
+
+    console.log(`📄 ${events.length} scans read for ${eventsByAttendee.size} attendees`);
+    changes.forEach(change => console.log(`   ${change.user.email}: ${change.field} "${change.user[change.field]}" -> "${change.value}"`));
+
+    if (options.dryRun) {
+        console.log(`🔍 Dry run: ${changes.length} cells would be updated`);
+        return;
+    }
+
+    for (const change of changes) {
+        await storage.writeField(change.user.rowIndex, change.field, change.value);
+    }
+    if (storage.flushWrites) {
+        await storage.flushWrites();
+    }
+    console.log(`✅ Updated ${changes.length} cells in ${storage.name} storage`);
+}
+
+async function main() {
+    const { positional: [command, filePath], options } = parseArgs(process.argv.slice(2));
+    const needsFile = ['import', 'export'].includes(command);
+    if (!(needsFile ? filePath : command === 'rebuild-keys')) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const storage = createStorage(process.env);
+    if (command === 'import') {
+        await importRegistrants(storage, filePath, options);
+    } else if (command === 'export') {
+        await exportAttendees(storage, filePath, options);
+    } else {
+        await rebuildKeys(storage, options);
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+
+// Print a STAFF_ACCOUNTS entry for a staff member
+// Usage: node hash-staff-password.js <username> <viewer|staff|admin> <password>
+
+const { STAFF_ROLES, hashPassword } = require('./api/_lib/staff-auth');
+
+const [username, role, password] = process.argv.slice(2);
+
+if (!username || !STAFF_ROLES.includes(role) || !password) {
+    console.error(`Usage: node hash-staff-password.js <username> <${STAFF_ROLES.join('|')}> <password>`);
+    process.exit(1);
+}
+
+if (username.includes(':') || username.includes(',')) {
+    console.error('❌ Username cannot contain ":" or ","');
+    process.exit(1);
+}
+
+console.log(`${username}:${role}:${hashPassword(password)}`);
+console.log('✅ Add this entry to STAFF_ACCOUNTS (comma-separated for multiple staff)');
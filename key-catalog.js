@@ -0,0 +1,135 @@
+// Key hunt catalog - the single list of stations for the server, the key pages and the scanner.
+// Loaded with require('../key-catalog') on the server and <script src="key-catalog.js"> in the browser (window.KEY_CATALOG).
+//
+// To add or rename a station, edit KEYS below:
+//   id         - key id used by the pages and APIs ('<id> status' is the update-key field)
+//   group      - 'main', 'innovation' or 'wonder'
+//   field      - attendee record field the status is stored in
+//   column     - attendee sheet column holding that field
+//   mindFile   - MindAR target file the scanner loads
+//   targetIndex - target index inside mindFile
+//   model      - model shown when the target is found
+//   points     - worth of the key for points rules in REDEEM_TIERS (default 1)
+//
+// Who can claim a prize is set by REDEEM_TIERS below.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.KEY_CATALOG = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MAGIC_KEY_MODEL = 'model/magic_key/scene.gltf';
+
+    // Each group is one scanner mode (scanner.html?key=<scannerKey>).
+    // A group with a null mindFile uses one .mind file per key.
+    // Scanning `unlockAfter` keys of a quest group earns its `unlocksKey` main key.
+    const GROUPS = [
+        { id: 'main', label: 'Main Keys', scannerKey: 'key1', mindFile: 'model/registration.mind', maxTrack: 4, page: 'page2.html' },
+        { id: 'innovation', label: 'Innovation Keys', scannerKey: 'key2', mindFile: 'model/Innovation_key/innovation.mind', maxTrack: 4, page: 'key2.html', unlocksKey: 'key2', unlockAfter: 4 },
+        { id: 'wonder', label: 'Wonder Keys', scannerKey: 'key3', mindFile: null, maxTrack: 1, page: 'key3.html', unlocksKey: 'key3', unlockAfter: 3 }
+    ];
+
+    const KEYS = [
+        { id: 'key1', group: 'main', label: 'Register Key', field: 'registerKey', column: 'E', mindFile: 'model/registration.mind', targetIndex: 0, model: MAGIC_KEY_MODEL },
+        { id: 'key2', group: 'main', label: 'Project showcase Key', field: 'projectShowcaseKey', column: 'F', mindFile: 'model/registration.mind', targetIndex: 1, model: MAGIC_KEY_MODEL },
+        { id: 'key3', group: 'main', label: 'Afternoon session Key', field: 'afternoonSessionKey', column: 'G', mindFile: 'model/registration.mind', targetIndex: 2, model: MAGIC_KEY_MODEL },
+        // key4 shares the check-in column, so its status is never read back
+        { id: 'key4', group: 'main', label: 'Check-in', field: 'checkin', column: 'D', mindFile: 'model/registration.mind', targetIndex: 3, model: MAGIC_KEY_MODEL, readable: false },
+        { id: 'in1', group: 'innovation', label: 'Innovation AR 1', field: 'in1', column: 'J', mindFile: 'model/Innovation_key/innovation.mind', targetIndex: 0, model: MAGIC_KEY_MODEL },
+        { id: 'in2', group: 'innovation', label: 'Innovation AR 2', field: 'in2', column: 'K', mindFile: 'model/Innovation_key/innovation.mind', targetIndex: 1, model: MAGIC_KEY_MODEL },
+        { id: 'in3', group: 'innovation', label: 'Innovation AR 3', field: 'in3', column: 'L', mindFile: 'model/Innovation_key/innovation.mind', targetIndex: 2, model: MAGIC_KEY_MODEL },
+        { id: 'in4', group: 'innovation', label: 'Innovation AR 4', field: 'in4', column: 'M', mindFile: 'model/Innovation_key/innovation.mind', targetIndex: 3, model: MAGIC_KEY_MODEL },
+        { id: 'wd1', group: 'wonder', label: 'Wonder Key 1', field: 'wd1', column: 'N', mindFile: 'model/Wonder_key/1.mind', targetIndex: 0, model: MAGIC_KEY_MODEL },
+        { id: 'wd2', group: 'wonder', label: 'Wonder Key 2', field: 'wd2', column: 'O', mindFile: 'model/Wonder_key/2.mind', targetIndex: 0, model: MAGIC_KEY_MODEL },
+        { id: 'wd3', group: 'wonder', label: 'Wonder Key 3', field: 'wd3', column: 'P', mindFile: 'model/Wonder_key/3.mind', targetIndex: 0, model: MAGIC_KEY_MODEL },
+        { id: 'wd4', group: 'wonder', label: 'Wonder Key 4', field: 'wd4', column: 'Q', mindFile: 'model/Wonder_key/4.mind', targetIndex: 0, model: MAGIC_KEY_MODEL },
+        { id: 'wd5', group: 'wonder', label: 'Wonder Key 5', field: 'wd5', column: 'R', mindFile: 'model/Wonder_key/5.mind', targetIndex: 0, model: MAGIC_KEY_MODEL },
+        { id: 'wd6', group: 'wonder', label: 'Wonder Key 6', field: 'wd6', column: 'S', mindFile: 'model/Wonder_key/6.mind', targetIndex: 0, model: MAGIC_KEY_MODEL }
+    ];
+
+    // Prize tiers, best first. An attendee qualifies for the first tier whose rules all hold
+    // (evaluated on the server by api/_lib/redeem-rules.js). Rules:
+    //   { key: 'key1' }                     - that key is scanned
+    //   { group: 'innovation', atLeast: 3 } - at least 3 keys of the group (all readable ones without atLeast)
+    //   { points: 10 }                      - scanned keys add up to at least 10 points
+    // e.g. { id: 'grand', label: 'Grand Prize', rules: [{ key: 'key1' }, { group: 'innovation', atLeast: 3 }, { group: 'wonder' }] }
+    const REDEEM_TIERS = [
+        { id: 'standard', label: 'Prize', rules: [{ key: 'key1' }, { key: 'key2' }, { key: 'key3' }] }
+    ];
+
+    // Keys every tier names are required for any prize (the dashboard funnel and hunt timing follow them)
+    KEYS.forEach(key => {
+        key.requiredForRedeem = REDEEM_TIERS.length > 0 && REDEEM_TIERS.every(tier => tier.rules.some(rule => rule.key === key.id));
+    });
+
+    function getKey(id) {
+        return KEYS.find(key => key.id === id) || null;
+    }
+
+    // 'key1 status' -> key1 entry
+    function getKeyByStatusField(keyField) {
+        return KEYS.find(key => `${key.id} status` === keyField) || null;
+    }
+
+    function getKeysInGroup(groupId) {
+        return KEYS.filter(key => key.group === groupId);
+    }
+
+    function getGroup(groupId) {
+        return GROUPS.find(group => group.id === groupId) || null;
+    }
+
+    // Quest group whose `unlockAfter` scans earn this main key, or null
+    function getGroupUnlockingKey(keyId) {
+        return GROUPS.find(group => group.unlocksKey === keyId) || null;
+    }
+
+    function getGroupByScannerKey(scannerKey) {
+        return GROUPS.find(group => group.scannerKey === scannerKey) || GROUPS[0];
+    }
+
+    // .mind file for a scanner mode and target (scanner.html?key=<scannerKey>&target=<n>)
+    function getMindFileForTarget(scannerKey, targetParam) {
+        const group = getGroupByScannerKey(scannerKey);
+        if (group.mindFile) {
+            return group.mindFile;
+        }
+        const key = getKeysInGroup(group.id)[parseInt(targetParam, 10) - 1] || getKeysInGroup(group.id)[0];
+        return key.mindFile;
+    }
+
+    // { in1: 'scanned', in2: 'not_scanned', ... } for one group, from a record keyed by field
+    function getGroupProgress(groupId, record) {
+        const progress = {};
+        getKeysInGroup(groupId).forEach(key => {
+            progress[key.id] = key.readable !== false && record[key.field] === 'scanned' ? 'scanned' : 'not_scanned';
+        });
+        return progress;
+    }
+
+    // Share of a group's keys scanned, 0-100
+    function getGroupPercentage(groupId, record) {
+        const statuses = Object.values(getGroupProgress(groupId, record));
+        if (statuses.length === 0) {
+            return 0;
+        }
+        const scannedCount = statuses.filter(status => status === 'scanned').length;
+        return Math.round((scannedCount / statuses.length) * 100);
+    }
+
+    return {
+        GROUPS,
+        KEYS,
+        REDEEM_TIERS,
+        getKey,
+        getKeyByStatusField,
+        getKeysInGroup,
+        getGroup,
+        getGroupUnlockingKey,
+        getGroupByScannerKey,
+        getMindFileForTarget,
+        getGroupProgress,
+        getGroupPercentage
+    };
+});
@@ -0,0 +1,39 @@
+// Live key progress for the attendee pages from /api/harty/events (Server-Sent Events).
+// subscribeToProgress(onProgress) calls onProgress with the same data as /api/harty/user
+// whenever the attendee's keys change - a scan on another phone or tab, or a staff check-in.
+// The cached statuses in localStorage are refreshed first, so other pages see them too.
+// The browser reconnects on its own and every connection starts with a fresh snapshot.
+// Loaded with <script src="live-progress.js"> (window.subscribeToProgress).
+(function (root) {
+    function cacheProgress(progress) {
+        localStorage.setItem('userKeyStatuses', JSON.stringify(progress.keyStatuses));
+        localStorage.setItem('userCheckinStatus', progress.checkinStatus || '');
+        localStorage.setItem('redeemKeyEnabled', progress.redeemKeyEnabled || false);
+        localStorage.setItem('innovationProgress', JSON.stringify(progress.innovationProgress));
+        localStorage.setItem('innovationPercentage', String(progress.innovationPercentage));
+        localStorage.setItem('wonderProgress', JSON.stringify(progress.wonderProgress));
+        localStorage.setItem('wonderPercentage', String(progress.wonderPercentage));
+    }
+
+    function subscribeToProgress(onProgress) {
+        if (!root.EventSource) {
+            return null;
+        }
+
+        const source = new EventSource('/api/harty/events');
+        source.addEventListener('progress', event => {
+            let progress;
+            try {
+                progress = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring malformed progress event:', error);
+                return;
+            }
+            cacheProgress(progress);
+            onProgress(progress);
+        });
+        return source;
+    }
+
+    root.subscribeToProgress = subscribeToProgress;
+})(typeof self !== 'undefined' ? self : this);
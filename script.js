@@ -40,8 +40,7 @@ async function initializeSecureSession() {
 
 // Auto-initialize app
 async function initializeApp() {
-    // Clear any local storage
-    localStorage.clear();
+    // Keep localStorage: the attendee session (userEmail, userRecordId, key statuses) must survive reloads
     
     // Reset UI
     resetUI();